@@ -3,30 +3,298 @@
  * Requirement: fetchable JSON that includes Access-Control-Allow-Origin: *
  *
  * JSON format:
- * { "USD":1, "GBP":0.6, "EURO":0.7, "ILS":3.4 }
+ * { "USD":1, "GBP":0.6, "EUR":0.7, "ILS":3.4 }
  * Meaning: <currency> <value> = USD 1
+ * Keys are ISO 4217 codes; the client offers exactly the currencies listed here.
+ * (Older versions used "EURO"; history files written by them are migrated when loaded.)
+ *
+ * Historical rates:
+ * - Every day the server runs, the current table is recorded in a JSON history file on disk
+ *   ({ "YYYY-MM-DD": { ...rates } }, path from RATES_HISTORY_FILE, default rates-history.json).
+ * - GET /rates?date=YYYY-MM-DD returns the table that was in effect on that day
+ *   (the latest recorded table on or before it). The effective date is sent in X-Rates-Date.
+ * - GET /rates without a date keeps returning the current table (assignment format unchanged).
+ *
+ * Admin API (rates can be changed without a redeploy):
+ * - PUT /rates (whole table) and PATCH /rates/:code ({ "rate": 3.5 }), with "Authorization: Bearer <token>".
+ * - Tokens come from the environment: RATES_ADMIN_TOKENS="alice:token1,bob:token2" (the name is what the
+ *   audit trail records) or a single RATES_ADMIN_TOKEN (recorded as "admin"). No token = admin API disabled.
+ * - The current table persists in RATES_FILE (default rates.json); every change is appended to
+ *   RATES_AUDIT_FILE (default rates-audit.jsonl) as { at, actor, ip, action, code?, before, after }.
+ * - GET /admin serves a small admin page (rates-server/admin.html) that uses these endpoints.
  */
 
 import express from "express";
 import cors from "cors";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 
 const app = express();
-app.use(cors({ origin: "*" }));
+app.use(cors({ origin: "*", exposedHeaders: ["X-Rates-Date"] }));
+app.use(express.json({ limit: "100kb" }));
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const HISTORY_FILE = process.env.RATES_HISTORY_FILE || path.join(ROOT, "rates-history.json");
+const RATES_FILE = process.env.RATES_FILE || path.join(ROOT, "rates.json");
+const AUDIT_FILE = process.env.RATES_AUDIT_FILE || path.join(ROOT, "rates-audit.jsonl");
 
 /**
  * Keep it simple and stable for grading.
- * You can update values anytime, just keep structure.
+ * These are only the initial values: once rates.json exists (first admin change), it wins.
  */
-app.get("/rates", (req, res) => {
-    res.json({
-        USD: 1,
-        GBP: 0.6,
-        EURO: 0.7,
-        ILS: 3.4
+const DEFAULT_RATES = {
+    USD: 1,
+    GBP: 0.6,
+    EUR: 0.7,
+    ILS: 3.4
+};
+
+// Legacy code -> ISO 4217 code
+const LEGACY_CODES = { EURO: "EUR" };
+
+function toIsoCodes(rates) {
+    return Object.fromEntries(Object.entries(rates).map(([code, value]) => [LEGACY_CODES[code] || code, value]));
+}
+
+// Local "YYYY-MM-DD", formatted like the client's toDateKey (src/lib/dates.js): the client keys costs and
+// `/rates?date=` lookups by its local day, so a UTC key would file rates under the neighbouring day near midnight.
+function todayKey() {
+    const d = new Date();
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function readJson(file, fallback, what) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Ignoring unreadable ${what}: ${e.message}`);
+        return fallback;
+    }
+}
+
+// Write to a temp file first so a crash never leaves a half-written file behind
+function writeJson(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Validates a full rates table. Returns a list of problems (empty = valid).
+ * Rules: ISO-style 3-letter codes, positive finite numbers, USD present and exactly 1 (the base).
+ */
+function validateRates(rates) {
+    if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+        return ["body must be a JSON object of { CODE: rate }"];
+    }
+
+    const errors = [];
+    Object.entries(rates).forEach(([code, value]) => {
+        if (!/^[A-Z]{3}$/.test(code)) errors.push(`"${code}" is not a 3-letter currency code`);
+        if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+            errors.push(`${code} must be a positive number`);
+        }
     });
+    if (rates.USD !== 1) errors.push("USD is the base currency and must be exactly 1");
+    return errors;
+}
+
+function loadRates() {
+    const stored = readJson(RATES_FILE, null, "rates file");
+    if (!stored) return { ...DEFAULT_RATES };
+
+    const rates = toIsoCodes(stored);
+    const errors = validateRates(rates);
+    if (errors.length > 0) {
+        console.error(`Ignoring invalid rates file (${errors.join("; ")}), using defaults`);
+        return { ...DEFAULT_RATES };
+    }
+    return rates;
+}
+
+function loadHistory() {
+    const stored = readJson(HISTORY_FILE, {}, "rates history");
+    return Object.fromEntries(Object.entries(stored).map(([date, rates]) => [date, toIsoCodes(rates)]));
+}
+
+let currentRates = loadRates();
+const history = loadHistory();
+
+// Records today's table once per day (and again whenever the current table changed since).
+function recordToday() {
+    const key = todayKey();
+    if (JSON.stringify(history[key]) === JSON.stringify(currentRates)) return;
+
+    history[key] = { ...currentRates };
+    try {
+        writeJson(HISTORY_FILE, history);
+    } catch (e) {
+        console.error(`Failed to save rates history: ${e.message}`);
+    }
+}
+
+// Latest recorded date on or before `date` (keys are ISO dates, so string order = date order).
+function effectiveDate(date) {
+    return Object.keys(history)
+        .filter(d => d <= date)
+        .sort()
+        .pop();
+}
+
+/**
+ * Admin auth
+ * ----------
+ * Tokens map to a name for the audit trail. Compared in constant time.
+ */
+function loadAdminTokens() {
+    if (process.env.RATES_ADMIN_TOKENS) {
+        return process.env.RATES_ADMIN_TOKENS.split(",")
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const i = entry.indexOf(":");
+                return i > 0
+                    ? { name: entry.slice(0, i), token: entry.slice(i + 1) }
+                    : { name: "admin", token: entry };
+            });
+    }
+    return process.env.RATES_ADMIN_TOKEN ? [{ name: "admin", token: process.env.RATES_ADMIN_TOKEN }] : [];
+}
+
+const ADMIN_TOKENS = loadAdminTokens();
+
+function sameToken(a, b) {
+    const x = crypto.createHash("sha256").update(a).digest();
+    const y = crypto.createHash("sha256").update(b).digest();
+    return crypto.timingSafeEqual(x, y);
+}
+
+function requireAdmin(req, res, next) {
+    if (ADMIN_TOKENS.length === 0) {
+        res.status(503).json({ error: "Admin API is disabled: set RATES_ADMIN_TOKEN or RATES_ADMIN_TOKENS" });
+        return;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const admin = match && ADMIN_TOKENS.find(t => sameToken(t.token, match[1]));
+    if (!admin) {
+        res.set("WWW-Authenticate", "Bearer");
+        res.status(401).json({ error: "Missing or invalid admin token" });
+        return;
+    }
+
+    req.admin = admin.name;
+    next();
+}
+
+function appendAudit(entry) {
+    fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+}
+
+function readAudit() {
+    try {
+        return fs.readFileSync(AUDIT_FILE, "utf8")
+            .split("\n")
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+    } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Failed to read audit trail: ${e.message}`);
+        return [];
+    }
+}
+
+// Validates + persists a new table, then records it (audit trail + today's history entry).
+function applyRates(req, res, next, { action, code, rates }) {
+    const errors = validateRates(rates);
+    if (errors.length > 0) {
+        res.status(400).json({ error: "Invalid rates", details: errors });
+        return;
+    }
+
+    const before = currentRates;
+    try {
+        writeJson(RATES_FILE, rates);
+        appendAudit({
+            at: new Date().toISOString(),
+            actor: req.admin,
+            ip: req.ip,
+            action,
+            ...(code ? { code } : {}),
+            before: code ? before[code] ?? null : before,
+            after: code ? rates[code] : rates
+        });
+    } catch (e) {
+        next(e);
+        return;
+    }
+
+    currentRates = rates;
+    recordToday();
+    res.json(currentRates);
+}
+
+app.get("/rates", (req, res) => {
+    recordToday();
+
+    const { date } = req.query;
+    if (date === undefined) {
+        res.set("X-Rates-Date", todayKey());
+        res.json(currentRates);
+        return;
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        res.status(400).json({ error: "date must be YYYY-MM-DD" });
+        return;
+    }
+
+    const found = effectiveDate(date);
+    if (!found) {
+        res.status(404).json({ error: `No rates recorded on or before ${date}` });
+        return;
+    }
+
+    res.set("X-Rates-Date", found);
+    res.json(history[found]);
 });
 
+// Replaces the whole table (currencies missing from the body are removed).
+app.put("/rates", requireAdmin, (req, res, next) => {
+    applyRates(req, res, next, { action: "replace", rates: req.body });
+});
+
+// Sets (or adds) a single currency: body { "rate": <number> }.
+app.patch("/rates/:code", requireAdmin, (req, res, next) => {
+    const code = String(req.params.code).toUpperCase();
+    const rate = req.body?.rate;
+    applyRates(req, res, next, { action: "set", code, rates: { ...currentRates, [code]: rate } });
+});
+
+// Latest changes first (?limit=, default 50).
+app.get("/admin/audit", requireAdmin, (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 1000);
+    res.json(readAudit().reverse().slice(0, limit));
+});
+
+app.get("/admin", (req, res) => {
+    res.sendFile(path.join(ROOT, "rates-server", "admin.html"));
+});
+
+// JSON errors (e.g. a malformed request body) instead of Express' default HTML page
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(err);
+    res.status(status).json({ error: status >= 500 ? "Internal server error" : err.message });
+});
+
+recordToday();
+
 const port = process.env.PORT || 3000;
 app.listen(port, "0.0.0.0", () => {
     console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+    if (ADMIN_TOKENS.length === 0) console.log("Admin API disabled (no RATES_ADMIN_TOKEN set)");
+});
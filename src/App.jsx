@@ -3,55 +3,94 @@
  * React + MUI, IndexedDB storage via src/lib/idb.js (Promise wrapper)
  *
  * Features:
- * - Add cost item (sum, currency, category, description), date is "now"
- * - Monthly report (year+month, currency selection)
- * - Pie chart by categories for selected month
- * - Bar chart totals per month for selected year
- * - Settings: exchange rates URL (stored in localStorage)
+ * - Add cost item (sum, currency, category, description, date – defaults to today)
+ * - Income entries (source, currency) with the month's income / expenses / net balance
+ * - Free-form tags and split expenses (one receipt across several categories)
+ * - Payment accounts (cash, cards, bank accounts) with per-account subtotals, filter and chart grouping
+ * - Receipt photos / PDFs attached to cost items (camera on mobile), shown in the Report
+ * - Monthly report (year+month, currency selection), with edit/delete per item
+ * - Printable monthly statement (items, category subtotals, pie, rates used), print or save as PDF
+ * - Quarter / fiscal year / calendar year / custom date-range reports
+ * - Search / category / currency / tag / account / amount filters shared by Report + Charts, sortable report columns
+ * - Conversion at the rate of each expense's day (historical) or at today's rate
+ * - Pie chart by categories (or accounts) for selected month
+ * - Bar chart totals per month for selected year, income vs. expenses with the savings rate
+ * - Trend charts (year over year, cumulative month vs. previous month, category trends)
+ * - Calendar month grid + year heatmap of daily spending, with the items of a clicked day
+ * - Month-end forecast (run rate + same month in past years + recurring items still due) in Report + Charts
+ * - Monthly budgets per category (budget vs. actual in Report + Charts)
+ * - Recurring costs: schedules that file rent/bills/subscriptions automatically
+ * - Categories: user-managed names + colors (add/rename/merge/archive)
+ * - Currencies: whatever the rates server offers (ISO codes), favourites first
+ * - Settings: exchange rates URL (stored in localStorage), favourite currencies, accounts,
+ *   JSON backup/restore of all data
+ * - Installable PWA: works offline (service worker), with an "update available" prompt
+ * - Live updates across tabs: changes made in another tab refresh the visible report
  *
  * Notes (team):
  * - This file is the “app shell”: tabs, shared state (year/month/currency), and DB bootstrap.
  * - Data persistence is NOT here (SRP). We only call the idb wrapper API.
  */
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { ThemeProvider } from "@mui/material/styles";
 import {
+    Alert,
     AppBar,
     Box,
+    Button,
     Container,
     CssBaseline,
     IconButton,
+    Snackbar,
     Tab,
     Tabs,
     Toolbar,
     Typography
 } from "@mui/material";
 import SettingsIcon from "@mui/icons-material/Settings";
+import CategoryIcon from "@mui/icons-material/Category";
 import { theme } from "./theme";
 
 import AddCostForm from "./components/AddCostForm";
 import ReportTable from "./components/ReportTable";
 import Charts from "./components/Charts";
 import SettingsDialog from "./components/SettingsDialog";
-import { idb } from "./lib/idb";
+import RecurringCosts from "./components/RecurringCosts";
+import CategoriesDialog from "./components/CategoriesDialog";
+import { idb, SCHEMA_VERSION } from "./lib/idb";
+import { periodRange, toDateKey } from "./lib/dates";
+import { EMPTY_FILTERS } from "./lib/filters";
+import { registerServiceWorker } from "./lib/pwa";
+import { subscribeChanges, touchesRange } from "./lib/sync";
+import { DEFAULT_CURRENCIES, getFavoriteCurrencies, orderCurrencies } from "./lib/currencies";
 
-// IndexedDB config (must match the vanilla tester params as well)
+// IndexedDB config (must match the vanilla tester params as well).
+// The version is the latest step of the migration registry in idb.js (see MIGRATIONS there).
 const DB_NAME = "costsdb";
-const DB_VERSION = 1;
-
-// Requirement: supported currency symbols are exactly these 4
-const CURRENCIES = ["USD", "ILS", "GBP", "EURO"];
+const DB_VERSION = SCHEMA_VERSION;
 
 export default function App() {
-    // UI navigation: simple tab state for 3 main screens
+    // UI navigation: simple tab state for the main screens
     const [tab, setTab] = useState(0);
 
     // Settings dialog state (rates URL is managed inside SettingsDialog via localStorage)
     const [settingsOpen, setSettingsOpen] = useState(false);
+    const [categoriesOpen, setCategoriesOpen] = useState(false);
+
+    // Set by the service worker when a new version is ready: calling it reloads into that version
+    const [applyUpdate, setApplyUpdate] = useState(null);
+
+    useEffect(() => {
+        // Function values must be wrapped, or useState would call them as updaters
+        registerServiceWorker((apply) => setApplyUpdate(() => apply));
+    }, []);
 
     // DB API handle returned from idb.openCostsDB(). We keep it in state so children can use it.
     const [dbApi, setDbApi] = useState(null);
 
+    // Problems opening/upgrading the DB: { severity, msg, reload } (reload = show a "Reload" button)
+    const [dbStatus, setDbStatus] = useState(null);
+
     // We freeze "now" once so initial month/year don't change on re-renders
     const now = useMemo(() => new Date(), []);
 
@@ -60,37 +99,145 @@ export default function App() {
     const [month, setMonth] = useState(now.getMonth() + 1);
     const [currency, setCurrency] = useState("USD");
 
+    // Supported currencies come from the rates table (dbApi.getCurrencies); favourites are listed first.
+    const [availableCurrencies, setAvailableCurrencies] = useState(DEFAULT_CURRENCIES);
+    const [favoriteCurrencies, setFavoriteCurrencies] = useState(getFavoriteCurrencies);
+    const currencies = useMemo(
+        () => orderCurrencies(availableCurrencies, favoriteCurrencies),
+        [availableCurrencies, favoriteCurrencies]
+    );
+
+    // Report period: "month" uses year+month above, the other presets are turned into a date range
+    // (see periodRange in lib/dates.js). Custom range defaults to the current month.
+    const [period, setPeriod] = useState(() => ({
+        type: "month",
+        quarter: Math.floor(now.getMonth() / 3) + 1,
+        fiscalStartMonth: 4,
+        from: toDateKey(new Date(now.getFullYear(), now.getMonth(), 1)),
+        to: toDateKey(now)
+    }));
+
+    // Report filters (search/categories/currencies/tags/accounts/amount range). Inputs update `filters` right away;
+    // queries use `appliedFilters`, which follows after a short pause so typing doesn't rebuild per key.
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+
+    useEffect(() => {
+        const t = setTimeout(() => setAppliedFilters(filters), 300);
+        return () => clearTimeout(t);
+    }, [filters]);
+
+    // Every tag in use (suggestions in the cost forms, options in the filters)
+    const [tagOptions, setTagOptions] = useState([]);
+    // Income sources in use (suggestions in the income form)
+    const [incomeSources, setIncomeSources] = useState([]);
+
+    // How items are converted: at today's rate or at the rate of their own day (stable past reports).
+    // "current" by default, like every idb.js function: it needs one rates table per report, while
+    // "historical" may fetch a dated table per day for items without a rate snapshot.
+    const [rateMode, setRateMode] = useState("current");
+
+    // Categories come from IndexedDB (user-managed). Forms only offer the active (non-archived) ones,
+    // while Charts needs every color since old items may still use an archived category.
+    const [categoryRecords, setCategoryRecords] = useState([]);
+    const categories = useMemo(
+        () => categoryRecords.filter(c => !c.archived).map(c => c.name),
+        [categoryRecords]
+    );
+    // Filters offer every category (archived ones included, old items may still use them)
+    const allCategories = useMemo(() => categoryRecords.map(c => c.name), [categoryRecords]);
+    const categoryColors = useMemo(
+        () => Object.fromEntries(categoryRecords.map(c => [c.name, c.color])),
+        [categoryRecords]
+    );
+
+    // Payment accounts (managed in Settings): selectable in the forms, a report dimension and a filter
+    const [accounts, setAccounts] = useState([]);
+
     // Report state
     const [report, setReport] = useState(null);
     const [loadingReport, setLoadingReport] = useState(false);
     const [reportError, setReportError] = useState("");
+    // Id of the latest report request: an older one that finishes last must not replace a newer report
+    const reportRequest = useRef(0);
 
     useEffect(() => {
         // Open DB once at startup.
         // We wrap this in an IIFE because useEffect can't be async directly.
         (async () => {
-            const api = await idb.openCostsDB(DB_NAME, DB_VERSION);
+            let api;
+            try {
+                api = await idb.openCostsDB(DB_NAME, DB_VERSION, {
+                    // An older version of the app in another tab keeps the DB open; the upgrade resumes once it closes
+                    onBlocked: () => setDbStatus({
+                        severity: "warning",
+                        msg: "Cost Manager is open in another tab with an older version. " +
+                            "Close or reload that tab to finish updating your data."
+                    }),
+                    // A newer version in another tab upgraded the DB: this tab's connection was closed
+                    onVersionChange: () => {
+                        setDbApi(null);
+                        setDbStatus({
+                            severity: "warning",
+                            msg: "Cost Manager was updated in another tab. Reload this tab to keep working.",
+                            reload: true
+                        });
+                    }
+                });
+            } catch (e) {
+                setDbStatus({ severity: "error", msg: e?.message || "Failed to open the local database.", reload: true });
+                return;
+            }
+
+            setDbStatus(null);
             setDbApi(api);
+            setCategoryRecords(await api.getCategories());
+            setAccounts(await api.getAccounts());
+            setAvailableCurrencies(await api.getCurrencies());
         })();
     }, []);
 
+    async function refreshCategories() {
+        if (!dbApi) return;
+        setCategoryRecords(await dbApi.getCategories());
+    }
+
+    async function refreshAccounts() {
+        if (!dbApi) return;
+        setAccounts(await dbApi.getAccounts());
+    }
+
+    // After Settings changed (rates URL, favourites) or a restore
+    async function refreshCurrencies() {
+        setFavoriteCurrencies(getFavoriteCurrencies());
+        if (dbApi) setAvailableCurrencies(await dbApi.getCurrencies());
+    }
+
     async function refreshReport() {
         // Guard: db might still be opening on first render
         if (!dbApi) return;
 
+        const requestId = ++reportRequest.current;
         setLoadingReport(true);
         setReportError("");
 
         try {
             // Report is generated from IndexedDB and converted to selected currency inside idb layer
-            const r = await dbApi.getReport(year, month, currency);
-            setReport(r);
+            let next;
+            if (period.type === "month") {
+                next = await dbApi.getReport(year, month, currency, { rateMode, filters: appliedFilters });
+            } else {
+                const { from, to } = periodRange(period, year, month);
+                next = await dbApi.getRangeReport(from, to, currency, { rateMode, filters: appliedFilters });
+            }
+            if (requestId === reportRequest.current) setReport(next);
         } catch (e) {
+            if (requestId !== reportRequest.current) return;
             // Keep error UI-friendly; don't crash the whole app
             setReport(null);
             setReportError(e?.message || "Failed to build report.");
         } finally {
-            setLoadingReport(false);
+            if (requestId === reportRequest.current) setLoadingReport(false);
         }
     }
 
@@ -100,7 +247,34 @@ export default function App() {
     useEffect(() => {
         if (dbApi) refreshReport();
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [dbApi, year, month, currency]);
+    }, [dbApi, year, month, currency, rateMode, period, appliedFilters]);
+
+    // Every data change rebuilds the report, so that is also when the tag / source lists may have changed
+    useEffect(() => {
+        if (!dbApi) return;
+        dbApi.getTags().then(setTagOptions).catch(() => setTagOptions([]));
+        dbApi.getIncomeSources().then(setIncomeSources).catch(() => setIncomeSources([]));
+    }, [dbApi, report]);
+
+    // Changes made in other tabs (lib/sync.js): rebuild only what they touch.
+    // Re-subscribed with the same inputs as the report, so the handler never sees an old period.
+    useEffect(() => {
+        if (!dbApi) return undefined;
+
+        return subscribeChanges((change) => {
+            if (change.settings) {
+                refreshCurrencies();
+                refreshReport();
+                return;
+            }
+            if (change.stores?.includes("categories")) refreshCategories();
+            if (change.stores?.includes("accounts")) refreshAccounts();
+
+            const { from, to } = periodRange(period, year, month);
+            if (touchesRange(change, ["costs", "income", "attachments", "budgets", "categories", "accounts"], from, to)) refreshReport();
+        });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [dbApi, year, month, currency, rateMode, period, appliedFilters]);
 
     return (
         <ThemeProvider theme={theme}>
@@ -113,6 +287,16 @@ export default function App() {
                         Cost Manager
                     </Typography>
 
+                    {/* Category management sits next to Settings */}
+                    <IconButton
+                        color="inherit"
+                        onClick={() => setCategoriesOpen(true)}
+                        aria-label="categories"
+                        disabled={!dbApi}
+                    >
+                        <CategoryIcon />
+                    </IconButton>
+
                     {/* Requirement (6): settings option for rates URL */}
                     <IconButton
                         color="inherit"
@@ -134,16 +318,37 @@ export default function App() {
                     <Tab label="Add Cost" />
                     <Tab label="Report" />
                     <Tab label="Charts" />
+                    <Tab label="Recurring" />
                 </Tabs>
             </AppBar>
 
             <Container maxWidth="md" sx={{ py: 3 }}>
+                {/* Database open/upgrade problems: nothing else works without the DB, so this comes first */}
+                {dbStatus && (
+                    <Alert
+                        severity={dbStatus.severity}
+                        sx={{ mb: 2 }}
+                        action={dbStatus.reload && (
+                            <Button color="inherit" size="small" onClick={() => window.location.reload()}>
+                                Reload
+                            </Button>
+                        )}
+                    >
+                        {dbStatus.msg}
+                    </Alert>
+                )}
+
                 {tab === 0 && (
                     <AddCostForm
                         dbApi={dbApi}
-                        // After inserting a new cost, refresh report so totals update immediately
+                        // After inserting a new cost / income entry, refresh report so totals update immediately
                         onAdded={() => refreshReport()}
-                        currencies={CURRENCIES}
+                        currencies={currencies}
+                        categories={categories}
+                        tagOptions={tagOptions}
+                        incomeSources={incomeSources}
+                        accounts={accounts}
+                        rateMode={rateMode}
                     />
                 )}
 
@@ -155,10 +360,25 @@ export default function App() {
                         setYear={setYear}
                         setMonth={setMonth}
                         setCurrency={setCurrency}
-                        currencies={CURRENCIES}
+                        period={period}
+                        setPeriod={setPeriod}
+                        filters={filters}
+                        setFilters={setFilters}
+                        appliedFilters={appliedFilters}
+                        filterCategories={allCategories}
+                        currencies={currencies}
+                        tagOptions={tagOptions}
+                        accounts={accounts}
+                        categories={categories}
+                        categoryColors={categoryColors}
+                        rateMode={rateMode}
+                        setRateMode={setRateMode}
                         report={report}
                         loading={loadingReport}
                         error={reportError}
+                        dbApi={dbApi}
+                        // Edits/deletes change the stored data, so rebuild the report afterwards
+                        onChanged={() => refreshReport()}
                     />
                 )}
 
@@ -171,13 +391,79 @@ export default function App() {
                         setYear={setYear}
                         setMonth={setMonth}
                         setCurrency={setCurrency}
-                        currencies={CURRENCIES}
+                        period={period}
+                        setPeriod={setPeriod}
+                        filters={filters}
+                        setFilters={setFilters}
+                        appliedFilters={appliedFilters}
+                        filterCategories={allCategories}
+                        currencies={currencies}
+                        tagOptions={tagOptions}
+                        accounts={accounts}
+                        categoryColors={categoryColors}
+                        rateMode={rateMode}
+                        setRateMode={setRateMode}
+                    />
+                )}
+
+                {tab === 3 && (
+                    <RecurringCosts
+                        dbApi={dbApi}
+                        currencies={currencies}
+                        categories={categories}
+                        // Saving a rule can generate due items, so the report must be rebuilt
+                        onChanged={() => refreshReport()}
                     />
                 )}
             </Container>
 
             {/* Dialog is mounted once and controlled by state (simple + predictable UX) */}
-            <SettingsDialog open={settingsOpen} onClose={() => setSettingsOpen(false)} />
+            <SettingsDialog
+                open={settingsOpen}
+                onClose={() => setSettingsOpen(false)}
+                dbApi={dbApi}
+                currencies={availableCurrencies}
+                accounts={accounts}
+                // Renaming/deleting an account changes report rows (names, "No account"), so rebuild it too
+                onAccountsChanged={() => {
+                    refreshAccounts();
+                    refreshReport();
+                }}
+                onSaved={() => {
+                    refreshCurrencies();
+                    refreshReport();
+                }}
+                // A restore can touch every store, so reload everything that is derived from the DB
+                onRestored={() => {
+                    refreshCategories();
+                    refreshAccounts();
+                    refreshCurrencies();
+                    refreshReport();
+                }}
+            />
+
+            <CategoriesDialog
+                open={categoriesOpen}
+                onClose={() => setCategoriesOpen(false)}
+                dbApi={dbApi}
+                categories={categoryRecords}
+                // Rename/merge rewrite stored items, so both lists and the report are reloaded
+                onChanged={() => {
+                    refreshCategories();
+                    refreshReport();
+                }}
+            />
+
+            {/* New app version downloaded (offline PWA): reload only when the user is ready */}
+            <Snackbar
+                open={Boolean(applyUpdate)}
+                message="A new version of Cost Manager is available."
+                action={
+                    <Button color="secondary" size="small" onClick={() => applyUpdate()}>
+                        Reload
+                    </Button>
+                }
+            />
 
             <Box sx={{ height: 12 }} />
         </ThemeProvider>
@@ -0,0 +1,191 @@
+/**
+ * AccountsSettings.jsx
+ * --------------------
+ * Settings section for payment accounts (cash, credit cards, bank accounts): add, edit and delete.
+ *
+ * Notes (team):
+ * - Changes are saved right away through dbApi (SRP), not with the dialog's Save button,
+ *   same as the Backup section next to it.
+ * - Deleting an account keeps its cost items; they move to "No account".
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    IconButton,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableRow,
+    TextField,
+    Tooltip,
+    Typography
+} from "@mui/material";
+import DeleteIcon from "@mui/icons-material/Delete";
+import { ACCOUNT_TYPES } from "../lib/accounts";
+
+function TypeSelect({ value, onChange, ...props }) {
+    return (
+        <TextField select size="small" value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+            {Object.entries(ACCOUNT_TYPES).map(([type, label]) => (
+                <MenuItem key={type} value={type}>
+                    {label}
+                </MenuItem>
+            ))}
+        </TextField>
+    );
+}
+
+function CurrencySelect({ value, onChange, currencies, ...props }) {
+    // The account's currency may no longer be offered by the rates server; keep it selectable
+    const options = currencies.includes(value) || !value ? currencies : [value, ...currencies];
+    return (
+        <TextField select size="small" value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+            {options.map((c) => (
+                <MenuItem key={c} value={c}>
+                    {c}
+                </MenuItem>
+            ))}
+        </TextField>
+    );
+}
+
+// Inline editor for an account name: commits on blur / Enter only if the name changed (as in CategoriesDialog).
+function NameField({ account, onRename }) {
+    const [value, setValue] = useState(account.name);
+
+    useEffect(() => setValue(account.name), [account.name]);
+
+    function commit() {
+        if (value.trim() && value.trim() !== account.name) onRename(value);
+        else setValue(account.name);
+    }
+
+    return (
+        <TextField
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            size="small"
+            variant="standard"
+            inputProps={{ "aria-label": "account name" }}
+            fullWidth
+        />
+    );
+}
+
+export default function AccountsSettings({ dbApi, accounts, currencies, onChanged }) {
+    const [newName, setNewName] = useState("");
+    const [newType, setNewType] = useState("credit");
+    const [newCurrency, setNewCurrency] = useState(currencies[0] || "USD");
+    const [error, setError] = useState("");
+
+    async function run(action) {
+        setError("");
+        try {
+            await action();
+            onChanged?.();
+            return true;
+        } catch (e) {
+            setError(e?.message || "Account operation failed.");
+            return false;
+        }
+    }
+
+    async function add() {
+        const ok = await run(() => dbApi.addAccount({ name: newName, type: newType, currency: newCurrency }));
+        if (ok) setNewName("");
+    }
+
+    function update(account, patch) {
+        const { id, ...fields } = account;
+        return run(() => dbApi.updateAccount(id, { ...fields, ...patch }));
+    }
+
+    function remove(account) {
+        if (!window.confirm(`Delete the account "${account.name}"? Its cost items are kept without an account.`)) return;
+        run(() => dbApi.deleteAccount(account.id));
+    }
+
+    return (
+        <>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                Accounts
+            </Typography>
+
+            <Typography variant="body2" sx={{ mb: 1, opacity: 0.8 }}>
+                Cards, bank accounts and cash you pay from. A new cost item paid from an account starts in the
+                account's currency.
+            </Typography>
+
+            {error && (
+                <Alert severity="error" sx={{ mb: 1 }}>
+                    {error}
+                </Alert>
+            )}
+
+            {accounts.length > 0 && (
+                <Table size="small">
+                    <TableBody>
+                        {accounts.map((a) => (
+                            <TableRow key={a.id}>
+                                <TableCell>
+                                    <NameField account={a} onRename={(name) => update(a, { name })} />
+                                </TableCell>
+                                <TableCell sx={{ width: 150 }}>
+                                    <TypeSelect
+                                        value={a.type}
+                                        onChange={(type) => update(a, { type })}
+                                        variant="standard"
+                                        fullWidth
+                                    />
+                                </TableCell>
+                                <TableCell sx={{ width: 90 }}>
+                                    <CurrencySelect
+                                        value={a.currency}
+                                        onChange={(currency) => update(a, { currency })}
+                                        currencies={currencies}
+                                        variant="standard"
+                                        fullWidth
+                                    />
+                                </TableCell>
+                                <TableCell align="right" sx={{ width: 48 }}>
+                                    <Tooltip title="Delete account">
+                                        <IconButton size="small" aria-label="delete account" onClick={() => remove(a)}>
+                                            <DeleteIcon fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+
+            <Box sx={{ display: "flex", gap: 1, alignItems: "center", mt: 2 }}>
+                <TextField
+                    label="New account"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    size="small"
+                    fullWidth
+                />
+                <TypeSelect label="Type" value={newType} onChange={setNewType} sx={{ minWidth: 140 }} />
+                <CurrencySelect
+                    label="Currency"
+                    value={newCurrency}
+                    onChange={setNewCurrency}
+                    currencies={currencies}
+                    sx={{ minWidth: 100 }}
+                />
+                <Button variant="contained" onClick={add} disabled={!dbApi || !newName.trim()}>
+                    Add
+                </Button>
+            </Box>
+        </>
+    );
+}
@@ -1,45 +1,158 @@
 /**
  * AddCostForm.jsx
  * ---------------
- * Form for inserting new cost items into IndexedDB.
+ * Form for inserting new cost items (and income entries) into IndexedDB.
  *
  * Notes (team):
  * - This component handles ONLY user input + validation.
  * - Actual persistence is delegated to dbApi.addCost(...) (SRP).
- * - The date is not entered by the user; it is generated inside idb.js as required.
+ * - The date defaults to today; the user may pick another day (backdated receipts).
+ *   idb.js derives year/month/day from it.
+ * - Receipts (photos / PDFs) picked here are saved with the item in the same transaction.
+ * - "Split across categories" replaces the Category select with SplitEditor; tags are free-form (TagsInput).
+ * - Picking an account switches the currency to the account's default (it can still be changed).
+ * - The Expense / Income toggle switches to an income entry (dbApi.addIncome): a source instead of a category,
+ *   and no tags, split or receipts.
  */
 
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
     Alert,
+    Autocomplete,
     Box,
     Button,
     Card,
     CardContent,
+    Chip,
+    FormControlLabel,
     MenuItem,
+    Switch,
     TextField,
+    ToggleButton,
+    ToggleButtonGroup,
     Typography
 } from "@mui/material";
+import ReceiptPicker from "./ReceiptPicker";
+import SplitEditor from "./SplitEditor";
+import TagsInput from "./TagsInput";
+import { NO_ACCOUNT, NO_ACCOUNT_LABEL } from "../lib/accounts";
+import { toDateKey } from "../lib/dates";
+import { itemCategories } from "../lib/splits";
 
-// Fixed categories list for consistency in reports and charts
-const CATEGORIES = ["Food", "Car", "Education", "Bills", "Shopping", "Health", "Other"];
+export default function AddCostForm({
+    dbApi,
+    onAdded,
+    currencies,
+    categories,
+    tagOptions,
+    incomeSources,
+    accounts,
+    rateMode
+}) {
+    // "expense" = cost item, "income" = income entry
+    const [kind, setKind] = useState("expense");
 
-export default function AddCostForm({ dbApi, onAdded, currencies }) {
     // Controlled form state
     const [sum, setSum] = useState("");
     const [currency, setCurrency] = useState("USD");
     const [category, setCategory] = useState("Food");
     const [description, setDescription] = useState("");
+    const [date, setDate] = useState(() => toDateKey(new Date()));
+    const [receipts, setReceipts] = useState([]);
+    const [tags, setTags] = useState([]);
+    const [accountId, setAccountId] = useState(NO_ACCOUNT);
+    const [source, setSource] = useState("");
+    // Split mode: portions [{ category, sum }] replace the single category
+    const [split, setSplit] = useState(false);
+    const [splits, setSplits] = useState([]);
 
     // Status message shown to the user after submit attempts
     const [status, setStatus] = useState({ type: "", msg: "" });
 
+    // Shown next to the success message when the new item pushed its category past the monthly budget
+    const [budgetWarning, setBudgetWarning] = useState("");
+
+    // Categories are user-managed: if the selected one was renamed/archived, fall back to the first one.
+    useEffect(() => {
+        if (categories.length > 0 && !categories.includes(category)) setCategory(categories[0]);
+    }, [categories, category]);
+
+    // The selected account may have been deleted (here or in another tab)
+    useEffect(() => {
+        if (accountId !== NO_ACCOUNT && !accounts.some(a => a.id === accountId)) setAccountId(NO_ACCOUNT);
+    }, [accounts, accountId]);
+
+    function selectAccount(id) {
+        setAccountId(id);
+        const account = accounts.find(a => a.id === id);
+        if (account) setCurrency(account.currency);
+    }
+
     // Disable the form until IndexedDB connection is ready
     const disabled = useMemo(() => !dbApi, [dbApi]);
 
+    // A split item can push several categories over budget at once. Only categories THIS item pushed over
+    // the limit are reported (one already over it warned when it got there), in the Report tab's rate mode.
+    async function checkBudget(item) {
+        try {
+            const statuses = await Promise.all(
+                itemCategories(item).map(c => dbApi.getBudgetStatus(item.year, item.month, c, {
+                    rateMode,
+                    itemId: item.id
+                }))
+            );
+
+            return statuses
+                .filter(status => status && status.spent > status.limit && status.spentBefore <= status.limit)
+                .map(status => `${status.category} is over its monthly budget: ` +
+                    `${status.spent} of ${status.limit} ${status.currency} spent.`)
+                .join(" ");
+        } catch {
+            // The item is saved already; a failed budget check (e.g. rates offline) must not look like a failed add.
+            return "";
+        }
+    }
+
+    function toggleSplit(on) {
+        setSplit(on);
+        // Start from the current category with the whole sum, plus an empty second portion
+        if (on) {
+            const other = categories.find(c => c !== category) || "";
+            setSplits([{ category, sum }, { category: other, sum: "" }]);
+        }
+    }
+
+    // Income: the description is optional, the source is what identifies the entry
+    async function submitIncome(n) {
+        if (!source.trim()) {
+            setStatus({ type: "error", msg: "Source is required." });
+            return;
+        }
+
+        try {
+            await dbApi.addIncome({
+                sum: n,
+                currency,
+                source,
+                description,
+                date,
+                accountId: accountId === NO_ACCOUNT ? null : accountId
+            });
+
+            // Source, date and account are kept (e.g. several payments from the same client)
+            setSum("");
+            setDescription("");
+            setStatus({ type: "success", msg: "Income added successfully." });
+            onAdded?.();
+        } catch (e) {
+            setStatus({ type: "error", msg: e?.message || "Failed to add income." });
+        }
+    }
+
     async function submit() {
         // Reset status before validation
         setStatus({ type: "", msg: "" });
+        setBudgetWarning("");
 
         const n = Number(sum);
 
@@ -49,6 +162,16 @@ export default function AddCostForm({ dbApi, onAdded, currencies }) {
             return;
         }
 
+        if (!date) {
+            setStatus({ type: "error", msg: "Date is required." });
+            return;
+        }
+
+        if (kind === "income") {
+            await submitIncome(n);
+            return;
+        }
+
         if (!description.trim()) {
             setStatus({ type: "error", msg: "Description is required." });
             return;
@@ -56,18 +179,27 @@ export default function AddCostForm({ dbApi, onAdded, currencies }) {
 
         try {
             // Requirement: store original currency together with sum/category/description
-            await dbApi.addCost({
+            const item = await dbApi.addCost({
                 sum: n,
                 currency,
                 category,
-                description: description.trim()
+                description: description.trim(),
+                date,
+                tags,
+                accountId: accountId === NO_ACCOUNT ? null : accountId,
+                // idb.js validates that the portions add up to the sum
+                splits: split ? splits : [],
+                attachments: receipts
             });
 
-            // Reset form after successful insert
+            // Reset form after successful insert (date, tags and account are kept: receipts often come in batches)
             setSum("");
             setDescription("");
+            setReceipts([]);
+            setSplit(false);
 
             setStatus({ type: "success", msg: "Cost item added successfully." });
+            setBudgetWarning(await checkBudget(item));
 
             // Notify parent (App.jsx) so reports/charts can refresh
             onAdded?.();
@@ -80,9 +212,27 @@ export default function AddCostForm({ dbApi, onAdded, currencies }) {
     return (
         <Card>
             <CardContent>
-                <Typography variant="h5" sx={{ fontWeight: 900, mb: 2 }}>
-                    Add New Cost
-                </Typography>
+                <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", mb: 2 }}>
+                    <Typography variant="h5" sx={{ fontWeight: 900 }}>
+                        {kind === "income" ? "Add Income" : "Add New Cost"}
+                    </Typography>
+
+                    <ToggleButtonGroup
+                        value={kind}
+                        exclusive
+                        size="small"
+                        onChange={(e, value) => {
+                            if (!value) return;
+                            setKind(value);
+                            setStatus({ type: "", msg: "" });
+                            setBudgetWarning("");
+                        }}
+                        disabled={disabled}
+                    >
+                        <ToggleButton value="expense">Expense</ToggleButton>
+                        <ToggleButton value="income">Income</ToggleButton>
+                    </ToggleButtonGroup>
+                </Box>
 
                 {/* DB is opened asynchronously; show info state until ready */}
                 {disabled && (
@@ -98,6 +248,12 @@ export default function AddCostForm({ dbApi, onAdded, currencies }) {
                     </Alert>
                 )}
 
+                {budgetWarning && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                        {budgetWarning}
+                    </Alert>
+                )}
+
                 {/* Main input grid */}
                 <Box
                     sx={{
@@ -129,37 +285,119 @@ export default function AddCostForm({ dbApi, onAdded, currencies }) {
                         ))}
                     </TextField>
 
+                    {kind === "income" && (
+                        <Autocomplete
+                            freeSolo
+                            options={incomeSources}
+                            inputValue={source}
+                            onInputChange={(e, value) => setSource(value)}
+                            disabled={disabled}
+                            renderInput={(params) => <TextField {...params} label="Source" placeholder="e.g. Salary" />}
+                        />
+                    )}
+
+                    {kind === "expense" && !split && (
+                        <TextField
+                            label="Category"
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            select
+                            disabled={disabled}
+                        >
+                            {categories.map((c) => (
+                                <MenuItem key={c} value={c}>
+                                    {c}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    )}
+
                     <TextField
-                        label="Category"
-                        value={category}
-                        onChange={(e) => setCategory(e.target.value)}
+                        label="Account"
+                        value={accountId}
+                        onChange={(e) => selectAccount(e.target.value)}
                         select
                         disabled={disabled}
                     >
-                        {CATEGORIES.map((c) => (
-                            <MenuItem key={c} value={c}>
-                                {c}
+                        <MenuItem value={NO_ACCOUNT}>{NO_ACCOUNT_LABEL}</MenuItem>
+                        {accounts.map((a) => (
+                            <MenuItem key={a.id} value={a.id}>
+                                {a.name}
                             </MenuItem>
                         ))}
                     </TextField>
 
                     <TextField
-                        label="Description"
+                        label={kind === "income" ? "Description (optional)" : "Description"}
                         value={description}
                         onChange={(e) => setDescription(e.target.value)}
                         disabled={disabled}
                     />
+
+                    <TextField
+                        label="Date"
+                        value={date}
+                        onChange={(e) => setDate(e.target.value)}
+                        type="date"
+                        InputLabelProps={{ shrink: true }}
+                        disabled={disabled}
+                    />
+
+                    {kind === "expense" && (
+                        <TagsInput value={tags} onChange={setTags} options={tagOptions} disabled={disabled} />
+                    )}
                 </Box>
 
+                {kind === "expense" && (
+                    <>
+                        <FormControlLabel
+                            sx={{ mt: 1 }}
+                            control={
+                                <Switch
+                                    checked={split}
+                                    onChange={(e) => toggleSplit(e.target.checked)}
+                                    disabled={disabled}
+                                />
+                            }
+                            label="Split across categories"
+                        />
+                        {split && (
+                            <SplitEditor
+                                sum={sum}
+                                splits={splits}
+                                setSplits={setSplits}
+                                categories={categories}
+                                disabled={disabled}
+                            />
+                        )}
+
+                        {/* Receipts: optional, kept with the item for reimbursements */}
+                        <Box sx={{ mt: 2, display: "flex", gap: 1, flexWrap: "wrap", alignItems: "center" }}>
+                            <ReceiptPicker
+                                disabled={disabled}
+                                onPick={(files) => setReceipts(prev => [...prev, ...files])}
+                            />
+                            {receipts.map((file, i) => (
+                                <Chip
+                                    key={`${file.name}-${i}`}
+                                    label={file.name}
+                                    size="small"
+                                    onDelete={() => setReceipts(prev => prev.filter((f, j) => j !== i))}
+                                />
+                            ))}
+                        </Box>
+                    </>
+                )}
+
                 <Box sx={{ mt: 2, display: "flex", justifyContent: "flex-end" }}>
                     <Button variant="contained" onClick={submit} disabled={disabled}>
                         Add
                     </Button>
                 </Box>
 
-                {/* Explicitly stating the requirement about automatic date assignment */}
+                {/* The item is filed under the month of the chosen date (not the day it was entered) */}
                 <Typography variant="caption" sx={{ display: "block", mt: 1, opacity: 0.7 }}>
-                    Note: date is automatically set to “today” as required.
+                    Note: date defaults to “today”; change it for backdated or future-dated items.
                 </Typography>
             </CardContent>
         </Card>
@@ -0,0 +1,211 @@
+/**
+ * BudgetSummary.jsx
+ * -----------------
+ * Budget vs. actual per category for the selected month (shown inside the Report tab).
+ *
+ * Notes (team):
+ * - Spend and budgets come already converted to the report currency (report.categories from idb.js).
+ * - Budgets are set per category in any supported currency; persistence goes through dbApi (SRP).
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    IconButton,
+    LinearProgress,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    TextField,
+    Typography
+} from "@mui/material";
+import EditIcon from "@mui/icons-material/Edit";
+
+function BudgetDialog({ target, dbApi, currencies, onClose, onSaved }) {
+    // `target` is { category, budget } where budget is the stored one (or undefined)
+    const [amount, setAmount] = useState("");
+    const [currency, setCurrency] = useState("USD");
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        // Re-seed the form whenever the dialog opens on a category
+        if (!target) return;
+
+        setAmount(target.budget ? String(target.budget.amount) : "");
+        setCurrency(target.budget?.currency || "USD");
+        setError("");
+    }, [target]);
+
+    async function run(action) {
+        try {
+            await action();
+            onSaved?.();
+            onClose();
+        } catch (e) {
+            setError(e?.message || "Failed to save budget.");
+        }
+    }
+
+    function save() {
+        const n = Number(amount);
+        if (!Number.isFinite(n) || n <= 0) {
+            setError("Budget must be a positive number.");
+            return;
+        }
+        run(() => dbApi.setBudget(target.category, n, currency));
+    }
+
+    return (
+        <Dialog open={Boolean(target)} onClose={onClose} fullWidth maxWidth="xs">
+            <DialogTitle sx={{ fontWeight: 900 }}>
+                Monthly budget: {target?.category}
+            </DialogTitle>
+
+            <DialogContent sx={{ pt: 1 }}>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Box sx={{ display: "flex", gap: 2, pt: 1 }}>
+                    <TextField
+                        label="Amount"
+                        value={amount}
+                        onChange={(e) => setAmount(e.target.value)}
+                        type="number"
+                        inputProps={{ step: "0.01" }}
+                        fullWidth
+                    />
+
+                    <TextField
+                        label="Currency"
+                        value={currency}
+                        onChange={(e) => setCurrency(e.target.value)}
+                        select
+                        sx={{ minWidth: 120 }}
+                    >
+                        {currencies.map((c) => (
+                            <MenuItem key={c} value={c}>
+                                {c}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                </Box>
+            </DialogContent>
+
+            <DialogActions>
+                {/* Removing the budget stops warnings for this category */}
+                {target?.budget && (
+                    <Button color="error" onClick={() => run(() => dbApi.deleteBudget(target.category))}>
+                        Remove
+                    </Button>
+                )}
+                <Button onClick={onClose}>Cancel</Button>
+                <Button variant="contained" onClick={save}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+export default function BudgetSummary({ report, categories, currencies, dbApi, onChanged }) {
+    const [target, setTarget] = useState(null);
+    const [error, setError] = useState("");
+
+    async function openFor(category) {
+        setError("");
+        try {
+            // We need the stored (unconverted) budget to edit it in its own currency.
+            const budgets = await dbApi.getBudgets();
+            setTarget({ category, budget: budgets.find(b => b.category === category) });
+        } catch (e) {
+            setError(e?.message || "Failed to load budgets.");
+        }
+    }
+
+    const rows = categories.map(category => {
+        const row = report.categories.find(c => c.category === category);
+        return { category, total: row?.total ?? 0, budget: row?.budget ?? null };
+    });
+
+    return (
+        <Box sx={{ mt: 3 }}>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                Budget vs. actual ({report.total.currency})
+            </Typography>
+
+            {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error}
+                </Alert>
+            )}
+
+            <Table size="small">
+                <TableHead>
+                    <TableRow>
+                        <TableCell sx={{ fontWeight: 900 }}>Category</TableCell>
+                        <TableCell sx={{ fontWeight: 900 }}>Spent</TableCell>
+                        <TableCell sx={{ fontWeight: 900 }}>Budget</TableCell>
+                        <TableCell sx={{ fontWeight: 900, width: "35%" }}>Used</TableCell>
+                        <TableCell />
+                    </TableRow>
+                </TableHead>
+
+                <TableBody>
+                    {rows.map((r) => {
+                        const over = r.budget !== null && r.total > r.budget;
+                        const pct = r.budget ? Math.min(100, (r.total / r.budget) * 100) : 0;
+
+                        return (
+                            <TableRow key={r.category}>
+                                <TableCell>{r.category}</TableCell>
+                                <TableCell sx={{ color: over ? "error.main" : undefined, fontWeight: over ? 800 : undefined }}>
+                                    {r.total}
+                                </TableCell>
+                                <TableCell>{r.budget ?? "-"}</TableCell>
+                                <TableCell>
+                                    {r.budget !== null && (
+                                        <LinearProgress
+                                            variant="determinate"
+                                            value={pct}
+                                            color={over ? "error" : pct >= 80 ? "warning" : "primary"}
+                                        />
+                                    )}
+                                </TableCell>
+                                <TableCell align="right">
+                                    <IconButton
+                                        size="small"
+                                        aria-label="set budget"
+                                        onClick={() => openFor(r.category)}
+                                        disabled={!dbApi}
+                                    >
+                                        <EditIcon fontSize="small" />
+                                    </IconButton>
+                                </TableCell>
+                            </TableRow>
+                        );
+                    })}
+                </TableBody>
+            </Table>
+
+            <BudgetDialog
+                target={target}
+                dbApi={dbApi}
+                currencies={currencies}
+                onClose={() => setTarget(null)}
+                onSaved={onChanged}
+            />
+        </Box>
+    );
+}
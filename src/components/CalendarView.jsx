@@ -0,0 +1,274 @@
+/**
+ * CalendarView.jsx
+ * ----------------
+ * Day-level spending for the Charts tab ("Calendar" view): a month grid and a year heatmap, both colored by
+ * the daily total in the selected currency, weekday vs. weekend averages, and the items of a clicked day.
+ *
+ * Notes (team):
+ * - Daily totals are ONE dbApi.getSummary({ year }, ..., { groupBy: ["day"] }) call for the whole year;
+ *   a clicked day loads its items with dbApi.getRangeReport(day, day) and lists them with CostRow
+ *   (same rendering as the Report tab).
+ * - Follows the shared year/month selectors (the month grid is the selected month; clicking a day in the
+ *   heatmap selects its month) and the Report tab's filters.
+ * - Averages only count days up to today, so a month in progress isn't diluted by days still to come.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import {
+    Alert,
+    Box,
+    ButtonBase,
+    CircularProgress,
+    Divider,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Typography
+} from "@mui/material";
+import CostRow from "./CostRow";
+import { daysInMonth, toDateKey } from "../lib/dates";
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Days counted as weekend (Date.getDay(): 0 = Sunday)
+const WEEKEND_DAYS = [0, 6];
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Cell background for a daily total: grey when nothing was spent, otherwise darker with the amount
+function heatColor(total, max) {
+    if (!total || !max) return "action.hover";
+    return `rgba(63, 81, 181, ${0.2 + 0.8 * Math.min(total / max, 1)})`;
+}
+
+// Average daily spend on weekdays / weekend days of [from, to] (Dates), days after today left out
+function dayAverages(totals, from, to) {
+    const today = new Date();
+    const sums = { weekday: 0, weekend: 0 };
+    const counts = { weekday: 0, weekend: 0 };
+
+    for (let d = new Date(from); d <= to && d <= today; d.setDate(d.getDate() + 1)) {
+        const kind = WEEKEND_DAYS.includes(d.getDay()) ? "weekend" : "weekday";
+        sums[kind] += totals.get(toDateKey(d)) || 0;
+        counts[kind]++;
+    }
+
+    const average = (kind) => (counts[kind] ? Math.round((sums[kind] / counts[kind]) * 100) / 100 : null);
+    return { weekday: average("weekday"), weekend: average("weekend") };
+}
+
+function AveragesLine({ label, averages, currency }) {
+    const show = (v) => (v === null ? "–" : `${v} ${currency}`);
+    return (
+        <Typography variant="body2">
+            {label}: weekdays {show(averages.weekday)} / day, weekends {show(averages.weekend)} / day
+        </Typography>
+    );
+}
+
+export default function CalendarView({ dbApi, year, month, setMonth, currency, rateMode, appliedFilters, reloadKey }) {
+    const [totals, setTotals] = useState(null); // "YYYY-MM-DD" -> total
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+
+    const [selectedDate, setSelectedDate] = useState(null);
+    const [dayReport, setDayReport] = useState(null);
+    const [dayError, setDayError] = useState("");
+
+    useEffect(() => {
+        if (!dbApi) return undefined;
+
+        // Switching year/currency/filters quickly: only the latest selection may paint the heatmap
+        let stale = false;
+        (async () => {
+            setLoading(true);
+            setError("");
+            try {
+                const summary = await dbApi.getSummary({ year }, currency, {
+                    groupBy: ["day"],
+                    rateMode,
+                    filters: appliedFilters
+                });
+                if (stale) return;
+                setTotals(new Map(summary.groups.map(g => [toDateKey(new Date(g.year, g.month - 1, g.day)), g.total])));
+            } catch (e) {
+                if (!stale) setError(e?.message || "Failed to build the calendar");
+            } finally {
+                if (!stale) setLoading(false);
+            }
+        })();
+
+        return () => {
+            stale = true;
+        };
+    }, [dbApi, year, currency, rateMode, appliedFilters, reloadKey]);
+
+    useEffect(() => {
+        setDayReport(null);
+        setDayError("");
+        if (!dbApi || !selectedDate) return undefined;
+
+        // Clicking days quickly: an earlier day's items must never show under the newly selected date
+        let stale = false;
+        dbApi.getRangeReport(selectedDate, selectedDate, currency, { rateMode, filters: appliedFilters })
+            .then(result => !stale && setDayReport(result))
+            .catch(e => !stale && setDayError(e?.message || "Failed to load the day's items"));
+
+        return () => {
+            stale = true;
+        };
+    }, [dbApi, selectedDate, currency, rateMode, appliedFilters, reloadKey]);
+
+    // Another year picked in the selectors: the selected day no longer belongs to it
+    useEffect(() => {
+        if (selectedDate && !selectedDate.startsWith(`${year}-`)) setSelectedDate(null);
+    }, [year, selectedDate]);
+
+    const max = useMemo(() => (totals ? Math.max(0, ...totals.values()) : 0), [totals]);
+
+    const averages = useMemo(() => {
+        if (!totals) return null;
+        return {
+            month: dayAverages(totals, new Date(year, month - 1, 1), new Date(year, month, 0)),
+            year: dayAverages(totals, new Date(year, 0, 1), new Date(year, 11, 31))
+        };
+    }, [totals, year, month]);
+
+    function selectDay(m, day) {
+        setSelectedDate(toDateKey(new Date(year, m - 1, day)));
+        if (m !== month) setMonth(m);
+    }
+
+    if (loading) return <CircularProgress />;
+    if (error) return <Alert severity="error">{error}</Alert>;
+    if (!totals) return null;
+
+    const leadingBlanks = new Date(year, month - 1, 1).getDay();
+    const monthDays = daysInMonth(year, month);
+    const totalOf = (m, day) => totals.get(toDateKey(new Date(year, m - 1, day))) || 0;
+
+    return (
+        <>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                {MONTH_LABELS[month - 1]} {year} by day ({currency})
+            </Typography>
+
+            {/* Month grid: one row per week, Sunday first */}
+            <Box sx={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 0.5, mb: 1 }}>
+                {WEEKDAY_LABELS.map(label => (
+                    <Typography key={label} variant="caption" sx={{ textAlign: "center", opacity: 0.7 }}>
+                        {label}
+                    </Typography>
+                ))}
+                {Array.from({ length: leadingBlanks }, (_, i) => <Box key={`blank-${i}`} />)}
+                {Array.from({ length: monthDays }, (_, i) => {
+                    const day = i + 1;
+                    const total = totalOf(month, day);
+                    const selected = selectedDate === toDateKey(new Date(year, month - 1, day));
+                    return (
+                        <ButtonBase
+                            key={day}
+                            onClick={() => selectDay(month, day)}
+                            sx={{
+                                flexDirection: "column",
+                                alignItems: "flex-start",
+                                p: 0.5,
+                                minHeight: 52,
+                                borderRadius: 1,
+                                bgcolor: heatColor(total, max),
+                                color: total > max / 2 ? "common.white" : "text.primary",
+                                outline: selected ? "2px solid" : "none"
+                            }}
+                        >
+                            <Typography variant="caption">{day}</Typography>
+                            {total > 0 && (
+                                <Typography variant="body2" sx={{ fontWeight: 700 }}>
+                                    {Math.round(total)}
+                                </Typography>
+                            )}
+                        </ButtonBase>
+                    );
+                })}
+            </Box>
+
+            {averages && (
+                <Box sx={{ mb: 2 }}>
+                    <AveragesLine label="This month" averages={averages.month} currency={currency} />
+                    <AveragesLine label={`All of ${year}`} averages={averages.year} currency={currency} />
+                </Box>
+            )}
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                {year} heatmap ({currency})
+            </Typography>
+
+            {/* Year heatmap: one row per month, one square per day (native title = cheap tooltips for 365 cells) */}
+            <Box sx={{ overflowX: "auto" }}>
+                {MONTH_LABELS.map((label, i) => (
+                    <Box key={label} sx={{ display: "flex", alignItems: "center", gap: "2px", mb: "2px" }}>
+                        <Typography variant="caption" sx={{ width: 32, flexShrink: 0 }}>
+                            {label}
+                        </Typography>
+                        {Array.from({ length: daysInMonth(year, i + 1) }, (_, d) => {
+                            const total = totalOf(i + 1, d + 1);
+                            const date = toDateKey(new Date(year, i, d + 1));
+                            return (
+                                <ButtonBase
+                                    key={d}
+                                    title={`${date}: ${total} ${currency}`}
+                                    aria-label={date}
+                                    onClick={() => selectDay(i + 1, d + 1)}
+                                    sx={{
+                                        width: 14,
+                                        height: 14,
+                                        flexShrink: 0,
+                                        borderRadius: "2px",
+                                        bgcolor: heatColor(total, max),
+                                        outline: selectedDate === date ? "2px solid" : "none"
+                                    }}
+                                />
+                            );
+                        })}
+                    </Box>
+                ))}
+            </Box>
+
+            {selectedDate && (
+                <>
+                    <Divider sx={{ my: 3 }} />
+
+                    <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                        {selectedDate}
+                        {dayReport && ` – ${dayReport.total.total} ${dayReport.total.currency}`}
+                    </Typography>
+
+                    {dayError && <Alert severity="error">{dayError}</Alert>}
+
+                    {dayReport && dayReport.costs.length === 0 && (
+                        <Alert severity="info">No costs on this day.</Alert>
+                    )}
+
+                    {dayReport && dayReport.costs.length > 0 && (
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell sx={{ fontWeight: 900 }}>Day</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Sum</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Currency</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>In {dayReport.total.currency}</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Category</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Description</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {dayReport.costs.map(c => <CostRow key={c.id} cost={c} />)}
+                            </TableBody>
+                        </Table>
+                    )}
+                </>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,207 @@
+/**
+ * CategoriesDialog.jsx
+ * --------------------
+ * Dialog for managing cost categories: add, rename, recolor, merge and archive.
+ *
+ * Notes (team):
+ * - Opened from the app bar, next to Settings.
+ * - Rename/merge rewrite existing items inside idb.js, so reports stay consistent (SRP: no DB logic here).
+ * - Archiving only hides a category from the add/edit forms; old items keep it.
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    IconButton,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableRow,
+    TextField,
+    Tooltip,
+    Typography
+} from "@mui/material";
+import ArchiveIcon from "@mui/icons-material/Archive";
+import UnarchiveIcon from "@mui/icons-material/Unarchive";
+import CallMergeIcon from "@mui/icons-material/CallMerge";
+
+// Small inline editor for a category name: commits on blur / Enter only if the name changed.
+function NameField({ category, onRename }) {
+    const [value, setValue] = useState(category.name);
+
+    useEffect(() => setValue(category.name), [category.name]);
+
+    function commit() {
+        if (value.trim() && value.trim() !== category.name) onRename(value);
+        else setValue(category.name);
+    }
+
+    return (
+        <TextField
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            size="small"
+            variant="standard"
+            fullWidth
+        />
+    );
+}
+
+export default function CategoriesDialog({ open, onClose, dbApi, categories, onChanged }) {
+    const [newName, setNewName] = useState("");
+    const [newColor, setNewColor] = useState("#607D8B");
+    const [merging, setMerging] = useState(null); // category being merged away
+    const [mergeInto, setMergeInto] = useState("");
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        if (!open) return;
+
+        setError("");
+        setMerging(null);
+    }, [open]);
+
+    // Every change can rewrite items, so App reloads categories AND the report afterwards.
+    async function run(action) {
+        setError("");
+        try {
+            await action();
+            onChanged?.();
+            return true;
+        } catch (e) {
+            setError(e?.message || "Category operation failed.");
+            return false;
+        }
+    }
+
+    async function add() {
+        const ok = await run(() => dbApi.addCategory({ name: newName, color: newColor }));
+        if (ok) setNewName("");
+    }
+
+    async function merge() {
+        const ok = await run(() => dbApi.mergeCategory(merging.id, Number(mergeInto)));
+        if (ok) setMerging(null);
+    }
+
+    return (
+        <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+            <DialogTitle sx={{ fontWeight: 900 }}>
+                Categories
+            </DialogTitle>
+
+            <DialogContent sx={{ pt: 1 }}>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Table size="small">
+                    <TableBody>
+                        {categories.map((c) => (
+                            <TableRow key={c.id} sx={{ opacity: c.archived ? 0.5 : 1 }}>
+                                <TableCell sx={{ width: 56 }}>
+                                    {/* Native color input keeps this dependency-free */}
+                                    <input
+                                        type="color"
+                                        value={c.color}
+                                        aria-label={`${c.name} color`}
+                                        onChange={(e) => run(() => dbApi.setCategoryColor(c.id, e.target.value))}
+                                    />
+                                </TableCell>
+                                <TableCell>
+                                    <NameField
+                                        category={c}
+                                        onRename={(name) => run(() => dbApi.renameCategory(c.id, name))}
+                                    />
+                                </TableCell>
+                                <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                                    <Tooltip title="Merge into another category">
+                                        <IconButton
+                                            size="small"
+                                            aria-label="merge"
+                                            onClick={() => {
+                                                setMerging(c);
+                                                setMergeInto("");
+                                            }}
+                                        >
+                                            <CallMergeIcon fontSize="small" />
+                                        </IconButton>
+                                    </Tooltip>
+                                    <Tooltip title={c.archived ? "Restore" : "Archive"}>
+                                        <IconButton
+                                            size="small"
+                                            aria-label={c.archived ? "restore" : "archive"}
+                                            onClick={() => run(() => dbApi.setCategoryArchived(c.id, !c.archived))}
+                                        >
+                                            {c.archived ? <UnarchiveIcon fontSize="small" /> : <ArchiveIcon fontSize="small" />}
+                                        </IconButton>
+                                    </Tooltip>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+
+                {/* Merge panel: all items of `merging` are moved to the chosen category */}
+                {merging && (
+                    <Box sx={{ display: "flex", gap: 2, alignItems: "center", mt: 2 }}>
+                        <Typography variant="body2" sx={{ flexShrink: 0 }}>
+                            Merge “{merging.name}” into
+                        </Typography>
+                        <TextField
+                            select
+                            size="small"
+                            value={mergeInto}
+                            onChange={(e) => setMergeInto(e.target.value)}
+                            sx={{ minWidth: 160 }}
+                        >
+                            {categories.filter(c => c.id !== merging.id).map((c) => (
+                                <MenuItem key={c.id} value={c.id}>
+                                    {c.name}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                        <Button onClick={() => setMerging(null)}>Cancel</Button>
+                        <Button variant="contained" onClick={merge} disabled={!mergeInto}>
+                            Merge
+                        </Button>
+                    </Box>
+                )}
+
+                <Box sx={{ display: "flex", gap: 2, alignItems: "center", mt: 3 }}>
+                    <input
+                        type="color"
+                        value={newColor}
+                        aria-label="new category color"
+                        onChange={(e) => setNewColor(e.target.value)}
+                    />
+                    <TextField
+                        label="New category"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        size="small"
+                        fullWidth
+                    />
+                    <Button variant="contained" onClick={add} disabled={!newName.trim()}>
+                        Add
+                    </Button>
+                </Box>
+            </DialogContent>
+
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
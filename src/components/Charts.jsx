@@ -3,12 +3,25 @@
  * ----------
  * Displays pie and bar charts based on report data.
  * Pie chart values are converted to the selected currency.
+ * Budgets (already converted by idb.js) are drawn as line overlays.
  *
  * Notes (team):
  * - This component is mostly “data shaping” for charts + UI controls.
- * - We keep the DB logic behind dbApi.getReport(...) (SRP).
- * - We fetch exchange rates here because the pie chart needs per-item conversion
- *   by category (items can be stored in mixed original currencies).
+ * - We keep the DB logic behind dbApi.getYearReport(...) (SRP): one call per year/currency/rate mode
+ *   gives both the monthly bars and every month's per-category breakdown (pie + budgets).
+ * - Per-category totals come already converted from idb.js, so the pie follows the same
+ *   rate mode (historical/current) as the Report tab.
+ * - For quarter / fiscal year / custom periods we use dbApi.getRangeReport(...) instead: the pie shows
+ *   the whole range and the bars show each month it touches. Budget charts are month-only.
+ * - The Report tab's filters (shared via App.jsx) are passed to idb.js too, so charts show the same subset.
+ * - Changes made in another tab (lib/sync.js) reload the charts when they touch the charted months.
+ * - Once accounts exist, the pie can be grouped by account instead (report.accounts from idb.js).
+ * - Periods with income also get income vs. expense bars per month with the savings rate
+ *   ((income - expenses) / income) as a line on its own % axis.
+ * - In month mode, a month that isn't over yet also gets its month-end forecast (ForecastChart).
+ * - The "Trends" view (TrendCharts) compares years, months and categories, and the "Calendar" view
+ *   (CalendarView) shows spending by day; both share the selectors, filters and cross-tab reloads of
+ *   this component.
  */
 import React, { useEffect, useMemo, useState } from "react";
 import {
@@ -20,53 +33,40 @@ import {
     Divider,
     MenuItem,
     TextField,
+    ToggleButton,
+    ToggleButtonGroup,
     Typography
 } from "@mui/material";
 import {
     BarChart,
     Bar,
     CartesianGrid,
+    ComposedChart,
     Legend,
-    Pie,
-    PieChart,
+    Line,
     ResponsiveContainer,
     Tooltip,
     XAxis,
     YAxis,
-    Cell
+    Cell,
+    ReferenceLine
 } from "recharts";
+import RateModeSelect from "./RateModeSelect";
+import RatesStatus from "./RatesStatus";
+import PeriodSelector from "./PeriodSelector";
+import ReportFilters from "./ReportFilters";
+import CategoryPie from "./CategoryPie";
+import TrendCharts from "./TrendCharts";
+import CalendarView from "./CalendarView";
+import ForecastChart from "./ForecastChart";
+import { periodRange } from "../lib/dates";
+import { subscribeChanges, touchesRange } from "../lib/sync";
 
-// Fixed colors per category
-// (We picked a consistent mapping so categories keep the same color across sessions.)
-const CATEGORY_COLORS = {
-    Food: "#4CAF50",
-    Car: "#FF9800",
-    Education: "#3F51B5",
-    Bills: "#F44336",
-    Shopping: "#9C27B0",
-    Health: "#009688",
-    Other: "#607D8B"
-};
-
-const DEFAULT_RATES_URL = "http://localhost:3000/rates";
-
-// Reads the user-specified URL (Settings), otherwise falls back to a default.
-// This matches the requirement that the app should still work even if the user never sets a URL.
-function getRatesUrl() {
-    return localStorage.getItem("cm_rates_url") || DEFAULT_RATES_URL;
-}
-
-// Convert amount using USD as base (assignment format uses USD=1).
-// amountInUSD = amount / rates[from]
-// amountInTarget = amountInUSD * rates[to]
-function convertAmount(amount, from, to, rates) {
-    const usd = amount / rates[from];
-    return Math.round(usd * rates[to] * 100) / 100;
-}
+// Used for items whose category has no stored color (categories + colors come from IndexedDB via App.jsx)
+const FALLBACK_COLOR = "#607D8B";
 
-function monthsList() {
-    return Array.from({ length: 12 }, (_, i) => i + 1);
-}
+// Accounts have no stored color: they take these in list order ("No account" gets FALLBACK_COLOR)
+const ACCOUNT_COLORS = ["#3F51B5", "#009688", "#FF9800", "#9C27B0", "#795548", "#E91E63", "#8BC34A", "#00BCD4"];
 
 export default function Charts({
                                    dbApi,
@@ -76,76 +76,155 @@ export default function Charts({
                                    setYear,
                                    setMonth,
                                    setCurrency,
-                                   currencies
+                                   period,
+                                   setPeriod,
+                                   filters,
+                                   setFilters,
+                                   appliedFilters,
+                                   filterCategories,
+                                   currencies,
+                                   tagOptions,
+                                   accounts,
+                                   categoryColors,
+                                   rateMode,
+                                   setRateMode
                                }) {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState("");
-    const [monthReport, setMonthReport] = useState(null);
-    const [yearTotals, setYearTotals] = useState([]);
-    const [rates, setRates] = useState(null);
+    const [yearReport, setYearReport] = useState(null);
+    const [rangeReport, setRangeReport] = useState(null);
+    // "overview" = pie + bars of the selected period, "trends" = TrendCharts, "calendar" = CalendarView
+    const [view, setView] = useState("overview");
+    // Pie grouping: "category" or "account" (the latter only offered once accounts exist)
+    const [groupBy, setGroupBy] = useState("category");
+    const byAccount = groupBy === "account" && accounts.length > 0;
+    // Bumped when another tab changed data shown here; part of the load effect's inputs
+    const [reloadKey, setReloadKey] = useState(0);
 
-    // Fetch exchange rates. We re-fetch when currency changes (simple + safe),
-    // even though rates usually don't depend on target currency.
-    useEffect(() => {
-        fetch(getRatesUrl())
-            .then(res => res.json())
-            .then(setRates)
-            .catch(() => setError("Failed to fetch exchange rates"));
-    }, [currency]);
-
-    // Build pie chart data with conversion.
-    // We use useMemo so we don't recompute on every render unless inputs change.
-    const pieData = useMemo(() => {
-        if (!monthReport || !rates) return [];
+    // null in "month" mode, otherwise the { from, to } of the selected period
+    const range = useMemo(
+        () => (period.type === "month" ? null : periodRange(period, year, month)),
+        [period, year, month]
+    );
 
-        // Aggregate sums by category (after converting each item to the selected currency).
-        // Important: items are stored with original currencies in IndexedDB.
-        const map = new Map();
+    // Selected month's slice of the year report: { month, total, categories: [{ category, total, budget }], accounts }
+    const monthReport = !range && yearReport ? yearReport.months[month - 1] : null;
 
-        monthReport.costs.forEach(c => {
-            const category = c.category || "Other";
-            const converted = convertAmount(c.sum, c.currency, currency, rates);
-            map.set(category, (map.get(category) || 0) + converted);
-        });
+    // Totals by month for the bar charts (the year in month mode, every month of the range otherwise).
+    // savingsRate is in % and null for months without income (no rate to show).
+    const monthTotals = useMemo(() => {
+        const months = range ? rangeReport?.months : yearReport?.months;
+        if (!months) return [];
 
-        // Round only at the end to reduce accumulated rounding noise.
-        return Array.from(map.entries()).map(([name, value]) => ({
-            name,
-            value: Math.round(value * 100) / 100
+        return months.map(m => ({
+            month: range ? `${m.year}-${String(m.month).padStart(2, "0")}` : m.month,
+            total: m.total,
+            income: m.income,
+            savingsRate: m.income > 0 ? Math.round(((m.income - m.total) / m.income) * 1000) / 10 : null
         }));
-    }, [monthReport, rates, currency]);
+    }, [range, rangeReport, yearReport]);
+
+    const hasIncome = monthTotals.some(m => m.income > 0);
+
+    // Pie chart data: per-category (or per-account) spend, already converted to the selected currency by idb.js.
+    // Budget-only categories (no spend yet) are left out of the pie.
+    const pieData = useMemo(() => {
+        const source = range ? rangeReport : monthReport;
+        if (!source) return [];
+
+        if (byAccount) {
+            return source.accounts
+                .filter(a => a.total > 0)
+                .map(a => {
+                    const index = accounts.findIndex(x => x.id === a.accountId);
+                    return {
+                        name: a.name,
+                        value: a.total,
+                        color: index < 0 ? FALLBACK_COLOR : ACCOUNT_COLORS[index % ACCOUNT_COLORS.length]
+                    };
+                });
+        }
+
+        return source.categories
+            .filter(c => c.total > 0)
+            .map(c => ({
+                name: c.category || "Other",
+                value: c.total,
+                color: categoryColors[c.category] || FALLBACK_COLOR
+            }));
+    }, [range, rangeReport, monthReport, byAccount, accounts, categoryColors]);
+
+    // Budget vs. actual per category for the selected month (only categories that have a budget).
+    const budgetData = useMemo(() => {
+        if (!monthReport) return [];
+
+        return monthReport.categories
+            .filter(c => c.budget !== null)
+            .map(c => ({ name: c.category, spent: c.total, budget: c.budget }));
+    }, [monthReport]);
+
+    // Sum of all category budgets = the monthly budget line on the yearly bar chart.
+    const monthlyBudget = useMemo(() => {
+        if (!monthReport) return null;
+
+        const budgets = monthReport.categories.filter(c => c.budget !== null);
+        if (budgets.length === 0) return null;
+        return Math.round(budgets.reduce((acc, c) => acc + c.budget, 0) * 100) / 100;
+    }, [monthReport]);
+
+    const groupLabel = byAccount ? "account" : "category";
+
+    const rangeFrom = range?.from;
+    const rangeTo = range?.to;
+
+    useEffect(() => {
+        // The charted months: the whole year in month mode (bars) and in the calendar, otherwise the selected
+        // range. Trends reach back up to four years before the selected one (year-over-year comparison).
+        let from = rangeFrom && view === "overview" ? rangeFrom : `${year}-01-01`;
+        const to = rangeTo && view === "overview" ? rangeTo : `${year}-12-31`;
+        if (view === "trends") from = `${year - 4}-01-01`;
+        const stores = ["costs", "income", "budgets", "categories", "accounts"];
+
+        return subscribeChanges((change) => {
+            if (change.settings || touchesRange(change, stores, from, to)) setReloadKey(k => k + 1);
+        });
+    }, [view, year, rangeFrom, rangeTo]);
 
     useEffect(() => {
-        // Guard: don't run until DB API is ready AND we have rates for conversion.
-        if (!dbApi || !rates) return;
+        // Guard: don't run until DB API is ready (or while the Trends view, which loads its own data, is shown).
+        if (!dbApi || view !== "overview") return undefined;
 
+        // Stepping through years or ranges: a year report that comes back late must not replace the one on screen
+        let stale = false;
         (async () => {
             setLoading(true);
             setError("");
 
             try {
-                // Monthly report (we also store it to reuse its costs list for pie aggregation).
-                const monthly = await dbApi.getReport(year, month, currency);
-                setMonthReport(monthly);
-
-                // Yearly totals by month.
-                // Note: getReport already returns a total in selected currency, so we can reuse that.
-                const totals = [];
-
-                // We query per month to keep logic simple + aligned with the assignment's report API.
-                for (const m of monthsList()) {
-                    const rep = await dbApi.getReport(year, m, currency);
-                    totals.push({ month: m, total: rep.total.total });
+                if (rangeFrom) {
+                    const result = await dbApi.getRangeReport(rangeFrom, rangeTo, currency, {
+                        rateMode,
+                        filters: appliedFilters
+                    });
+                    if (!stale) setRangeReport(result);
+                } else {
+                    // One call for the whole year (single IndexedDB scan + single rates lookup).
+                    // It also carries every month's per-category breakdown, so switching the month
+                    // for the pie doesn't need another query.
+                    const result = await dbApi.getYearReport(year, currency, { rateMode, filters: appliedFilters });
+                    if (!stale) setYearReport(result);
                 }
-
-                setYearTotals(totals);
             } catch (e) {
-                setError(e?.message || "Failed to build charts");
+                if (!stale) setError(e?.message || "Failed to build charts");
             } finally {
-                setLoading(false);
+                if (!stale) setLoading(false);
             }
         })();
-    }, [dbApi, year, month, currency, rates]);
+
+        return () => {
+            stale = true;
+        };
+    }, [dbApi, view, year, currency, rateMode, rangeFrom, rangeTo, appliedFilters, reloadKey]);
 
     return (
         <Card>
@@ -154,26 +233,17 @@ export default function Charts({
                     Charts
                 </Typography>
 
-                {/* Shared selectors with Report tab (year/month/currency are controlled in App.jsx) */}
+                {/* Shared selectors with Report tab (period/currency are controlled in App.jsx) */}
                 <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mb: 2 }}>
-                    <TextField
-                        label="Year"
-                        type="number"
-                        value={year}
-                        onChange={(e) => setYear(Number(e.target.value))}
+                    <PeriodSelector
+                        period={period}
+                        setPeriod={setPeriod}
+                        year={year}
+                        setYear={setYear}
+                        month={month}
+                        setMonth={setMonth}
                     />
 
-                    <TextField
-                        label="Month"
-                        select
-                        value={month}
-                        onChange={(e) => setMonth(Number(e.target.value))}
-                    >
-                        {monthsList().map(m => (
-                            <MenuItem key={m} value={m}>{m}</MenuItem>
-                        ))}
-                    </TextField>
-
                     <TextField
                         label="Currency"
                         select
@@ -184,46 +254,143 @@ export default function Charts({
                             <MenuItem key={c} value={c}>{c}</MenuItem>
                         ))}
                     </TextField>
+
+                    <RateModeSelect rateMode={rateMode} setRateMode={setRateMode} />
+
+                    {accounts.length > 0 && (
+                        <TextField
+                            label="Group by"
+                            select
+                            value={groupBy}
+                            onChange={(e) => setGroupBy(e.target.value)}
+                        >
+                            <MenuItem value="category">Category</MenuItem>
+                            <MenuItem value="account">Account</MenuItem>
+                        </TextField>
+                    )}
                 </Box>
 
+                <ReportFilters
+                    filters={filters}
+                    setFilters={setFilters}
+                    categories={filterCategories}
+                    currencies={currencies}
+                    tags={tagOptions}
+                    accounts={accounts}
+                    currency={currency}
+                />
+
+                <ToggleButtonGroup
+                    value={view}
+                    exclusive
+                    size="small"
+                    onChange={(e, value) => value && setView(value)}
+                    sx={{ mb: 2 }}
+                >
+                    <ToggleButton value="overview">Overview</ToggleButton>
+                    <ToggleButton value="trends">Trends</ToggleButton>
+                    <ToggleButton value="calendar">Calendar</ToggleButton>
+                </ToggleButtonGroup>
+
+                {view === "calendar" && (
+                    <CalendarView
+                        dbApi={dbApi}
+                        year={year}
+                        month={month}
+                        setMonth={setMonth}
+                        currency={currency}
+                        rateMode={rateMode}
+                        appliedFilters={appliedFilters}
+                        reloadKey={reloadKey}
+                    />
+                )}
+
+                {view === "trends" && (
+                    <TrendCharts
+                        dbApi={dbApi}
+                        year={year}
+                        month={month}
+                        currency={currency}
+                        rateMode={rateMode}
+                        appliedFilters={appliedFilters}
+                        categoryColors={categoryColors}
+                        reloadKey={reloadKey}
+                    />
+                )}
+
                 {/* Basic loading/error UI (kept simple for the assignment) */}
-                {loading && <CircularProgress />}
-                {error && <Alert severity="error">{error}</Alert>}
+                {view === "overview" && loading && <CircularProgress />}
+                {view === "overview" && error && <Alert severity="error">{error}</Alert>}
 
-                {!loading && !error && (
+                {view === "overview" && !loading && !error && (
                     <>
+                        <RatesStatus
+                            ratesInfo={(range ? rangeReport : yearReport)?.ratesInfo}
+                            unconverted={(range ? rangeReport : yearReport)?.unconverted}
+                        />
+
                         <Typography sx={{ fontWeight: 900, mb: 1 }}>
-                            Monthly distribution by category ({currency})
+                            {range
+                                ? `Distribution by ${groupLabel}, ${range.from} – ${range.to} (${currency})`
+                                : `Monthly distribution by ${groupLabel} (${currency})`}
                         </Typography>
 
-                        <Box sx={{ height: 320 }}>
-                            <ResponsiveContainer width="100%" height="100%">
-                                <PieChart>
-                                    <Tooltip />
-                                    <Legend />
+                        <CategoryPie data={pieData} />
 
-                                    {/* Pie slices are colored per category for quick readability */}
-                                    <Pie data={pieData} dataKey="value" nameKey="name" outerRadius={110}>
-                                        {pieData.map((entry, index) => (
-                                            <Cell
-                                                key={index}
-                                                fill={CATEGORY_COLORS[entry.name] || CATEGORY_COLORS.Other}
-                                            />
-                                        ))}
-                                    </Pie>
-                                </PieChart>
-                            </ResponsiveContainer>
-                        </Box>
+                        {budgetData.length > 0 && (
+                            <>
+                                <Divider sx={{ my: 3 }} />
+
+                                <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                                    Budget vs. actual by category ({currency})
+                                </Typography>
+
+                                <Box sx={{ height: 320 }}>
+                                    <ResponsiveContainer width="100%" height="100%">
+                                        <ComposedChart data={budgetData}>
+                                            <CartesianGrid strokeDasharray="3 3" />
+                                            <XAxis dataKey="name" />
+                                            <YAxis />
+                                            <Tooltip />
+                                            <Legend />
+
+                                            {/* Bars = actual spend (category color), line = budget limit */}
+                                            <Bar dataKey="spent" name="Spent">
+                                                {budgetData.map((entry, index) => (
+                                                    <Cell
+                                                        key={index}
+                                                        fill={categoryColors[entry.name] || FALLBACK_COLOR}
+                                                    />
+                                                ))}
+                                            </Bar>
+                                            <Line dataKey="budget" name="Budget" stroke="#F44336" strokeWidth={2} />
+                                        </ComposedChart>
+                                    </ResponsiveContainer>
+                                </Box>
+                            </>
+                        )}
+
+                        {!range && (
+                            <ForecastChart
+                                dbApi={dbApi}
+                                year={year}
+                                month={month}
+                                currency={currency}
+                                rateMode={rateMode}
+                                appliedFilters={appliedFilters}
+                                reloadKey={reloadKey}
+                            />
+                        )}
 
                         <Divider sx={{ my: 3 }} />
 
                         <Typography sx={{ fontWeight: 900, mb: 1 }}>
-                            Yearly totals by month ({currency})
+                            {range ? "Totals by month" : "Yearly totals by month"} ({currency})
                         </Typography>
 
                         <Box sx={{ height: 320 }}>
                             <ResponsiveContainer width="100%" height="100%">
-                                <BarChart data={yearTotals}>
+                                <BarChart data={monthTotals}>
                                     <CartesianGrid strokeDasharray="3 3" />
                                     <XAxis dataKey="month" />
                                     <YAxis />
@@ -232,9 +399,55 @@ export default function Charts({
 
                                     {/* Single bar series = total cost in selected currency */}
                                     <Bar dataKey="total" fill="#3F51B5" />
+
+                                    {/* Total monthly budget (all categories), if any budgets are set */}
+                                    {monthlyBudget !== null && (
+                                        <ReferenceLine
+                                            y={monthlyBudget}
+                                            stroke="#F44336"
+                                            strokeDasharray="6 3"
+                                            label={{ value: "Budget", position: "insideTopRight" }}
+                                        />
+                                    )}
                                 </BarChart>
                             </ResponsiveContainer>
                         </Box>
+
+                        {hasIncome && (
+                            <>
+                                <Divider sx={{ my: 3 }} />
+
+                                <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                                    Income vs. expenses by month ({currency}) and savings rate (%)
+                                </Typography>
+
+                                <Box sx={{ height: 320 }}>
+                                    <ResponsiveContainer width="100%" height="100%">
+                                        <ComposedChart data={monthTotals}>
+                                            <CartesianGrid strokeDasharray="3 3" />
+                                            <XAxis dataKey="month" />
+                                            <YAxis yAxisId="amount" />
+                                            <YAxis yAxisId="rate" orientation="right" unit="%" />
+                                            <Tooltip />
+                                            <Legend />
+
+                                            <Bar yAxisId="amount" dataKey="income" name="Income" fill="#4CAF50" />
+                                            <Bar yAxisId="amount" dataKey="total" name="Expenses" fill="#3F51B5" />
+                                            {/* Months without income have no rate; the line bridges them */}
+                                            <Line
+                                                yAxisId="rate"
+                                                dataKey="savingsRate"
+                                                name="Savings rate"
+                                                unit="%"
+                                                stroke="#FF9800"
+                                                strokeWidth={2}
+                                                connectNulls
+                                            />
+                                        </ComposedChart>
+                                    </ResponsiveContainer>
+                                </Box>
+                            </>
+                        )}
                     </>
                 )}
             </CardContent>
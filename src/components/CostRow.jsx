@@ -0,0 +1,115 @@
+/**
+ * CostRow.jsx
+ * -----------
+ * One cost item as a table row: date/day, original sum + currency, converted amount, category (or split
+ * portions), description with recurring marker + tags, and optionally account, receipt and edit/delete cells.
+ *
+ * Notes (team):
+ * - Shared by ReportTable and the Charts calendar's day list, so both show items the same way.
+ * - Optional cells are only rendered when their prop is given; the caller's table head must match.
+ * - `cost` is a report row (idb.js adds `converted` / `conversionError` and `attachments`).
+ */
+
+import React from "react";
+import { Badge, Box, ButtonBase, Chip, IconButton, TableCell, TableRow, Tooltip, Typography } from "@mui/material";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import RepeatIcon from "@mui/icons-material/Repeat";
+import AttachFileIcon from "@mui/icons-material/AttachFile";
+import ReceiptThumbnail from "./ReceiptThumbnail";
+
+// Receipt cell: first receipt's thumbnail (+ count), or a button to attach one
+function ReceiptCell({ cost, onOpen, disabled }) {
+    const attachments = cost.attachments || [];
+
+    if (attachments.length === 0) {
+        return (
+            <Tooltip title="Attach a receipt">
+                <span>
+                    <IconButton size="small" aria-label="attach receipt" onClick={onOpen} disabled={disabled}>
+                        <AttachFileIcon fontSize="small" sx={{ opacity: 0.5 }} />
+                    </IconButton>
+                </span>
+            </Tooltip>
+        );
+    }
+
+    return (
+        <Tooltip title={attachments.length === 1 ? attachments[0].name : `${attachments.length} receipts`}>
+            <ButtonBase onClick={onOpen} aria-label="view receipts" sx={{ borderRadius: 1 }}>
+                <Badge badgeContent={attachments.length} invisible={attachments.length < 2} color="primary">
+                    <ReceiptThumbnail attachment={attachments[0]} />
+                </Badge>
+            </ButtonBase>
+        </Tooltip>
+    );
+}
+
+export default function CostRow({ cost: c, showDate, accountName, onViewReceipts, onEdit, onDelete, disabled }) {
+    return (
+        <TableRow>
+            {/* Assignment example uses Date:{day:...}, so we read it safely */}
+            <TableCell sx={{ whiteSpace: "nowrap" }}>
+                {showDate ? c.date : c?.Date?.day ?? "-"}
+            </TableCell>
+
+            {/* These fields are the “original” stored values per cost item */}
+            <TableCell>{c.sum}</TableCell>
+            <TableCell>{c.currency}</TableCell>
+            <TableCell>
+                {/* No rate for this item's currency: it is left out of the total */}
+                {c.conversionError ? (
+                    <Tooltip title={c.conversionError}>
+                        <Typography variant="body2" color="error" component="span">
+                            No rate
+                        </Typography>
+                    </Tooltip>
+                ) : c.converted}
+            </TableCell>
+            <TableCell>
+                {c.splits ? (
+                    // Portions in the item's own currency
+                    c.splits.map(p => (
+                        <Typography key={p.category} variant="body2" sx={{ whiteSpace: "nowrap" }}>
+                            {p.category} {p.sum}
+                        </Typography>
+                    ))
+                ) : c.category}
+            </TableCell>
+            <TableCell>
+                {c.description}
+                {/* Items generated from a recurring rule are marked so users know where they came from */}
+                {c.recurringId && (
+                    <Tooltip title="Generated by a recurring cost">
+                        <RepeatIcon fontSize="inherit" sx={{ ml: 0.5, verticalAlign: "middle", opacity: 0.6 }} />
+                    </Tooltip>
+                )}
+                {c.tags?.length > 0 && (
+                    <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mt: 0.5 }}>
+                        {c.tags.map(t => <Chip key={t} label={t} size="small" variant="outlined" />)}
+                    </Box>
+                )}
+            </TableCell>
+            {accountName !== undefined && <TableCell>{accountName}</TableCell>}
+            {onViewReceipts && (
+                <TableCell>
+                    <ReceiptCell cost={c} onOpen={onViewReceipts} disabled={disabled} />
+                </TableCell>
+            )}
+            {(onEdit || onDelete) && (
+                <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                    {onEdit && (
+                        <IconButton size="small" aria-label="edit" onClick={onEdit} disabled={disabled}>
+                            <EditIcon fontSize="small" />
+                        </IconButton>
+                    )}
+                    {onDelete && (
+                        <IconButton size="small" aria-label="delete" onClick={onDelete} disabled={disabled}>
+                            <DeleteIcon fontSize="small" />
+                        </IconButton>
+                    )}
+                </TableCell>
+            )}
+        </TableRow>
+    );
+}
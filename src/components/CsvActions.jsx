@@ -0,0 +1,102 @@
+/**
+ * CsvActions.jsx
+ * --------------
+ * "Export CSV" menu (month / year / all data) + "Import CSV" wizard launcher, shown in the Report tab.
+ *
+ * Notes (team):
+ * - Export uses the stored items (original currencies) with the same fields getReport returns.
+ * - The file is built and downloaded entirely client-side.
+ */
+
+import React, { useState } from "react";
+import { Alert, Box, Button, Menu, MenuItem } from "@mui/material";
+import FileDownloadIcon from "@mui/icons-material/FileDownload";
+import FileUploadIcon from "@mui/icons-material/FileUpload";
+import CsvImportDialog from "./CsvImportDialog";
+import { downloadText, toCsv } from "../lib/csv";
+
+// Column order of exported files (also recognized automatically by the import wizard)
+const EXPORT_COLUMNS = ["year", "month", "day", "sum", "currency", "category", "description"];
+
+export default function CsvActions({ dbApi, year, month, currencies, categories, onImported }) {
+    const [menuAnchor, setMenuAnchor] = useState(null);
+    const [importOpen, setImportOpen] = useState(false);
+    const [message, setMessage] = useState({ type: "", msg: "" });
+
+    async function exportCsv(scope) {
+        setMenuAnchor(null);
+        setMessage({ type: "", msg: "" });
+
+        const filters = {
+            month: { year, month },
+            year: { year },
+            all: {}
+        };
+        const names = {
+            month: `costs-${year}-${String(month).padStart(2, "0")}.csv`,
+            year: `costs-${year}.csv`,
+            all: "costs-all.csv"
+        };
+
+        try {
+            const costs = await dbApi.getCosts(filters[scope]);
+            if (costs.length === 0) {
+                setMessage({ type: "info", msg: "Nothing to export for this period." });
+                return;
+            }
+
+            // Oldest first, so the file reads like a ledger
+            costs.sort((a, b) => a.year - b.year || a.month - b.month || a.day - b.day);
+            downloadText(names[scope], toCsv(costs, EXPORT_COLUMNS));
+        } catch (e) {
+            setMessage({ type: "error", msg: e?.message || "Export failed." });
+        }
+    }
+
+    return (
+        <Box sx={{ mb: 2 }}>
+            <Box sx={{ display: "flex", gap: 1, justifyContent: "flex-end" }}>
+                <Button
+                    size="small"
+                    startIcon={<FileDownloadIcon />}
+                    onClick={(e) => setMenuAnchor(e.currentTarget)}
+                    disabled={!dbApi}
+                >
+                    Export CSV
+                </Button>
+                <Button
+                    size="small"
+                    startIcon={<FileUploadIcon />}
+                    onClick={() => setImportOpen(true)}
+                    disabled={!dbApi}
+                >
+                    Import CSV
+                </Button>
+            </Box>
+
+            <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={() => setMenuAnchor(null)}>
+                <MenuItem onClick={() => exportCsv("month")}>This month</MenuItem>
+                <MenuItem onClick={() => exportCsv("year")}>Year {year}</MenuItem>
+                <MenuItem onClick={() => exportCsv("all")}>All data</MenuItem>
+            </Menu>
+
+            {message.msg && (
+                <Alert severity={message.type} sx={{ mt: 1 }} onClose={() => setMessage({ type: "", msg: "" })}>
+                    {message.msg}
+                </Alert>
+            )}
+
+            <CsvImportDialog
+                open={importOpen}
+                onClose={() => setImportOpen(false)}
+                dbApi={dbApi}
+                currencies={currencies}
+                categories={categories}
+                onImported={(count) => {
+                    setMessage({ type: "success", msg: `Imported ${count} cost items.` });
+                    onImported?.();
+                }}
+            />
+        </Box>
+    );
+}
@@ -0,0 +1,366 @@
+/**
+ * CsvImportDialog.jsx
+ * -------------------
+ * Three-step wizard for importing cost items from CSV (bank exports, spreadsheets):
+ *   1. choose file (delimiter / header row)
+ *   2. map CSV columns to cost fields (+ date format)
+ *   3. preview with per-row validation, then bulk insert via dbApi.addCosts(...)
+ *
+ * Notes (team):
+ * - Rows are validated with the same rules as AddCostForm; currency/category must be
+ *   one of the app's lists. Invalid rows are shown and skipped, never "fixed" silently.
+ * - Parsing happens here (UI concern); the DB layer only sees clean cost objects (SRP).
+ */
+
+import React, { useMemo, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    Checkbox,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    MenuItem,
+    Step,
+    StepLabel,
+    Stepper,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    TextField,
+    Typography
+} from "@mui/material";
+import { parseCsv } from "../lib/csv";
+import { normalizeCurrencyCode } from "../lib/currencies";
+import { toDateKey } from "../lib/dates";
+
+const STEPS = ["Choose file", "Map columns", "Preview"];
+
+// Cost fields a CSV column can be mapped to. A full date OR year+month+day (our own export) can be used.
+const TARGETS = [
+    { key: "sum", label: "Sum", required: true },
+    { key: "currency", label: "Currency", required: true },
+    { key: "category", label: "Category", required: true },
+    { key: "description", label: "Description", required: true },
+    { key: "date", label: "Date" },
+    { key: "year", label: "Year" },
+    { key: "month", label: "Month" },
+    { key: "day", label: "Day" }
+];
+
+const DATE_FORMATS = {
+    "YYYY-MM-DD": /^(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})$/,
+    "DD/MM/YYYY": /^(?<d>\d{1,2})[/.](?<m>\d{1,2})[/.](?<y>\d{4})$/,
+    "MM/DD/YYYY": /^(?<m>\d{1,2})\/(?<d>\d{1,2})\/(?<y>\d{4})$/
+};
+
+const PREVIEW_LIMIT = 50;
+
+// Builds a real calendar date or returns null (rejects e.g. 31/02).
+function makeDate(y, m, d) {
+    const date = new Date(Number(y), Number(m) - 1, Number(d));
+    if (date.getFullYear() !== Number(y) || date.getMonth() !== Number(m) - 1 || date.getDate() !== Number(d)) {
+        return null;
+    }
+    return toDateKey(date);
+}
+
+function parseDate(value, format) {
+    const match = DATE_FORMATS[format].exec(value.trim());
+    return match ? makeDate(match.groups.y, match.groups.m, match.groups.d) : null;
+}
+
+// Guess the mapping from header names (exact, case-insensitive match).
+function guessMapping(header) {
+    const mapping = {};
+    TARGETS.forEach(t => {
+        const idx = header.findIndex(h => h.trim().toLowerCase() === t.key);
+        mapping[t.key] = idx >= 0 ? String(idx) : "";
+    });
+    return mapping;
+}
+
+// Turns one CSV row into { cost, errors } using the chosen mapping.
+function toCost(row, mapping, dateFormat, currencies, categories) {
+    const get = (key) => (mapping[key] === "" ? "" : (row[Number(mapping[key])] || "").trim());
+    const errors = [];
+
+    const sum = Number(get("sum"));
+    if (!Number.isFinite(sum) || sum <= 0) errors.push("sum must be a positive number");
+
+    // Legacy codes in older exports ("EURO") are accepted as their ISO code
+    const currency = normalizeCurrencyCode(get("currency"));
+    if (!currencies.includes(currency)) errors.push(`unknown currency "${get("currency")}"`);
+
+    // Categories are matched case-insensitively but stored with the app's spelling
+    const category = categories.find(c => c.toLowerCase() === get("category").toLowerCase());
+    if (!category) errors.push(`unknown category "${get("category")}"`);
+
+    const description = get("description");
+    if (!description) errors.push("description is required");
+
+    let date;
+    if (mapping.date !== "") {
+        date = parseDate(get("date"), dateFormat);
+        if (!date) errors.push(`invalid date "${get("date")}"`);
+    } else if (mapping.year !== "" && mapping.month !== "" && mapping.day !== "") {
+        date = makeDate(get("year"), get("month"), get("day"));
+        if (!date) errors.push("invalid year/month/day");
+    }
+
+    return { cost: { sum, currency, category, description, date }, errors };
+}
+
+export default function CsvImportDialog({ open, onClose, dbApi, currencies, categories, onImported }) {
+    const [step, setStep] = useState(0);
+    const [fileName, setFileName] = useState("");
+    const [text, setText] = useState("");
+    const [delimiter, setDelimiter] = useState(",");
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState({});
+    const [dateFormat, setDateFormat] = useState("YYYY-MM-DD");
+    const [error, setError] = useState("");
+    const [importing, setImporting] = useState(false);
+
+    const rows = useMemo(() => (text ? parseCsv(text, delimiter) : []), [text, delimiter]);
+    const header = useMemo(() => {
+        if (rows.length === 0) return [];
+        return hasHeader ? rows[0] : rows[0].map((_, i) => `Column ${i + 1}`);
+    }, [rows, hasHeader]);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const parsed = useMemo(
+        () => (step === 2 ? dataRows.map(r => toCost(r, mapping, dateFormat, currencies, categories)) : []),
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+        [step, rows, hasHeader, mapping, dateFormat, currencies, categories]
+    );
+    const valid = parsed.filter(p => p.errors.length === 0);
+
+    function reset() {
+        setStep(0);
+        setFileName("");
+        setText("");
+        setError("");
+    }
+
+    function close() {
+        reset();
+        onClose();
+    }
+
+    async function chooseFile(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setText(await file.text());
+        setError("");
+    }
+
+    function next() {
+        setError("");
+
+        if (step === 0) {
+            if (dataRows.length === 0) {
+                setError("The file has no data rows.");
+                return;
+            }
+            setMapping(guessMapping(hasHeader ? rows[0] : []));
+        }
+
+        if (step === 1) {
+            const missing = TARGETS.filter(t => t.required && mapping[t.key] === "");
+            if (missing.length > 0) {
+                setError(`Map a column for: ${missing.map(t => t.label).join(", ")}.`);
+                return;
+            }
+        }
+
+        setStep(s => s + 1);
+    }
+
+    async function importRows() {
+        setImporting(true);
+        setError("");
+        try {
+            const stored = await dbApi.addCosts(valid.map(p => p.cost));
+            onImported?.(stored.length);
+            close();
+        } catch (e) {
+            setError(e?.message || "Import failed.");
+        } finally {
+            setImporting(false);
+        }
+    }
+
+    return (
+        <Dialog open={open} onClose={close} fullWidth maxWidth="md">
+            <DialogTitle sx={{ fontWeight: 900 }}>
+                Import CSV
+            </DialogTitle>
+
+            <DialogContent>
+                <Stepper activeStep={step} sx={{ mb: 3 }}>
+                    {STEPS.map(label => (
+                        <Step key={label}>
+                            <StepLabel>{label}</StepLabel>
+                        </Step>
+                    ))}
+                </Stepper>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {step === 0 && (
+                    <Box sx={{ display: "flex", gap: 2, alignItems: "center", flexWrap: "wrap" }}>
+                        <Button variant="outlined" component="label">
+                            Choose file
+                            <input type="file" accept=".csv,text/csv" hidden onChange={chooseFile} />
+                        </Button>
+                        <Typography variant="body2">{fileName || "No file selected"}</Typography>
+
+                        <TextField
+                            label="Delimiter"
+                            select
+                            size="small"
+                            value={delimiter}
+                            onChange={(e) => setDelimiter(e.target.value)}
+                            sx={{ minWidth: 140 }}
+                        >
+                            <MenuItem value=",">Comma (,)</MenuItem>
+                            <MenuItem value=";">Semicolon (;)</MenuItem>
+                            <MenuItem value={"\t"}>Tab</MenuItem>
+                        </TextField>
+
+                        <FormControlLabel
+                            control={<Checkbox checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />}
+                            label="First row is a header"
+                        />
+
+                        {text && (
+                            <Typography variant="body2" sx={{ width: "100%", opacity: 0.7 }}>
+                                {dataRows.length} data rows, {header.length} columns.
+                            </Typography>
+                        )}
+                    </Box>
+                )}
+
+                {step === 1 && (
+                    <Box
+                        sx={{
+                            display: "grid",
+                            gap: 2,
+                            gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" }
+                        }}
+                    >
+                        {TARGETS.map(t => (
+                            <TextField
+                                key={t.key}
+                                label={t.required ? `${t.label} *` : t.label}
+                                select
+                                size="small"
+                                value={mapping[t.key] ?? ""}
+                                onChange={(e) => setMapping(m => ({ ...m, [t.key]: e.target.value }))}
+                            >
+                                <MenuItem value="">(not mapped)</MenuItem>
+                                {header.map((h, i) => (
+                                    <MenuItem key={i} value={String(i)}>
+                                        {h}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        ))}
+
+                        <TextField
+                            label="Date format"
+                            select
+                            size="small"
+                            value={dateFormat}
+                            onChange={(e) => setDateFormat(e.target.value)}
+                            disabled={mapping.date === ""}
+                        >
+                            {Object.keys(DATE_FORMATS).map(f => (
+                                <MenuItem key={f} value={f}>
+                                    {f}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+
+                        <Typography variant="caption" sx={{ gridColumn: "1 / -1", opacity: 0.7 }}>
+                            Without a date (or year/month/day) column, items are dated today.
+                        </Typography>
+                    </Box>
+                )}
+
+                {step === 2 && (
+                    <>
+                        <Alert severity={valid.length === parsed.length ? "success" : "warning"} sx={{ mb: 2 }}>
+                            {valid.length} of {parsed.length} rows are valid.
+                            {valid.length !== parsed.length && " Invalid rows will be skipped."}
+                        </Alert>
+
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell sx={{ fontWeight: 900 }}>Row</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Date</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Sum</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Currency</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Category</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Description</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }}>Problems</TableCell>
+                                </TableRow>
+                            </TableHead>
+
+                            <TableBody>
+                                {parsed.slice(0, PREVIEW_LIMIT).map((p, idx) => (
+                                    <TableRow
+                                        key={idx}
+                                        sx={{ bgcolor: p.errors.length ? "error.light" : undefined }}
+                                    >
+                                        <TableCell>{idx + 1}</TableCell>
+                                        <TableCell>{p.cost.date || "today"}</TableCell>
+                                        <TableCell>{Number.isFinite(p.cost.sum) ? p.cost.sum : "-"}</TableCell>
+                                        <TableCell>{p.cost.currency}</TableCell>
+                                        <TableCell>{p.cost.category || "-"}</TableCell>
+                                        <TableCell>{p.cost.description}</TableCell>
+                                        <TableCell>{p.errors.join("; ")}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+
+                        {parsed.length > PREVIEW_LIMIT && (
+                            <Typography variant="caption" sx={{ display: "block", mt: 1, opacity: 0.7 }}>
+                                Showing the first {PREVIEW_LIMIT} rows.
+                            </Typography>
+                        )}
+                    </>
+                )}
+            </DialogContent>
+
+            <DialogActions>
+                <Button onClick={close}>Cancel</Button>
+                {step > 0 && <Button onClick={() => setStep(s => s - 1)}>Back</Button>}
+                {step < 2 && (
+                    <Button variant="contained" onClick={next} disabled={!text}>
+                        Next
+                    </Button>
+                )}
+                {step === 2 && (
+                    <Button variant="contained" onClick={importRows} disabled={valid.length === 0 || importing}>
+                        Import {valid.length} items
+                    </Button>
+                )}
+            </DialogActions>
+        </Dialog>
+    );
+}
@@ -0,0 +1,220 @@
+/**
+ * EditCostDialog.jsx
+ * ------------------
+ * Dialog for correcting an existing cost item (sum, currency, category or split portions, account, description,
+ * tags).
+ *
+ * Notes (team):
+ * - Same validation rules as AddCostForm, so edited items stay consistent with new ones.
+ * - Persistence is delegated to dbApi.updateCost(...) (SRP).
+ * - Date fields are not editable here; they are kept as stored.
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    MenuItem,
+    Switch,
+    TextField
+} from "@mui/material";
+import SplitEditor from "./SplitEditor";
+import TagsInput from "./TagsInput";
+import { NO_ACCOUNT, NO_ACCOUNT_LABEL } from "../lib/accounts";
+
+export default function EditCostDialog({
+    cost,
+    dbApi,
+    currencies,
+    categories,
+    tagOptions,
+    accounts,
+    onClose,
+    onSaved
+}) {
+    // Controlled form state, seeded from the item being edited
+    const [sum, setSum] = useState("");
+    const [currency, setCurrency] = useState("USD");
+    const [category, setCategory] = useState("Food");
+    const [description, setDescription] = useState("");
+    const [tags, setTags] = useState([]);
+    const [accountId, setAccountId] = useState(NO_ACCOUNT);
+    const [split, setSplit] = useState(false);
+    const [splits, setSplits] = useState([]);
+    const [error, setError] = useState("");
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        // Re-sync the form every time a different item is opened.
+        if (!cost) return;
+
+        setSum(String(cost.sum));
+        setCurrency(cost.currency);
+        setCategory(cost.category);
+        setDescription(cost.description || "");
+        setTags(cost.tags || []);
+        // An item of a deleted account shows (and is saved) as "No account"
+        setAccountId(accounts.some(a => a.id === cost.accountId) ? cost.accountId : NO_ACCOUNT);
+        setSplit(Boolean(cost.splits?.length));
+        setSplits((cost.splits || []).map(p => ({ category: p.category, sum: String(p.sum) })));
+        setError("");
+        // Only when another item is opened: a change to the account list must not reset the user's edits
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [cost]);
+
+    async function save() {
+        const n = Number(sum);
+
+        if (!Number.isFinite(n) || n <= 0) {
+            setError("Sum must be a positive number.");
+            return;
+        }
+
+        if (!description.trim()) {
+            setError("Description is required.");
+            return;
+        }
+
+        setSaving(true);
+        try {
+            await dbApi.updateCost(cost.id, {
+                sum: n,
+                currency,
+                category,
+                description: description.trim(),
+                tags,
+                accountId: accountId === NO_ACCOUNT ? null : accountId,
+                // [] turns a split item back into a single-category one
+                splits: split ? splits : []
+            });
+            onSaved?.();
+            onClose();
+        } catch (e) {
+            setError(e?.message || "Failed to update cost item.");
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    // Keep the item's own categories selectable even if they were archived since
+    const ownCategories = cost ? [cost.category, ...(cost.splits || []).map(p => p.category)] : [];
+    const categoryOptions = Array.from(new Set([...categories, ...ownCategories]));
+
+    function toggleSplit(on) {
+        setSplit(on);
+        if (on && splits.length === 0) {
+            const other = categoryOptions.find(c => c !== category) || "";
+            setSplits([{ category, sum }, { category: other, sum: "" }]);
+        }
+    }
+
+    // Same for a currency the rates server no longer offers (the user can switch it to a supported one)
+    const currencyOptions = cost && !currencies.includes(cost.currency)
+        ? [...currencies, cost.currency]
+        : currencies;
+
+    return (
+        <Dialog open={Boolean(cost)} onClose={onClose} fullWidth maxWidth="sm">
+            <DialogTitle sx={{ fontWeight: 900 }}>
+                Edit Cost
+            </DialogTitle>
+
+            <DialogContent sx={{ pt: 1 }}>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Box
+                    sx={{
+                        display: "grid",
+                        gap: 2,
+                        pt: 1,
+                        gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" }
+                    }}
+                >
+                    <TextField
+                        label="Sum"
+                        value={sum}
+                        onChange={(e) => setSum(e.target.value)}
+                        type="number"
+                        inputProps={{ step: "0.01" }}
+                    />
+
+                    <TextField
+                        label="Currency"
+                        value={currency}
+                        onChange={(e) => setCurrency(e.target.value)}
+                        select
+                    >
+                        {currencyOptions.map((c) => (
+                            <MenuItem key={c} value={c}>
+                                {c}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+
+                    {!split && (
+                        <TextField
+                            label="Category"
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            select
+                        >
+                            {categoryOptions.map((c) => (
+                                <MenuItem key={c} value={c}>
+                                    {c}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    )}
+
+                    <TextField
+                        label="Account"
+                        value={accountId}
+                        onChange={(e) => setAccountId(e.target.value)}
+                        select
+                    >
+                        <MenuItem value={NO_ACCOUNT}>{NO_ACCOUNT_LABEL}</MenuItem>
+                        {accounts.map((a) => (
+                            <MenuItem key={a.id} value={a.id}>
+                                {a.name}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+
+                    <TextField
+                        label="Description"
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                    />
+
+                    <TagsInput value={tags} onChange={setTags} options={tagOptions} />
+                </Box>
+
+                <FormControlLabel
+                    sx={{ mt: 1 }}
+                    control={<Switch checked={split} onChange={(e) => toggleSplit(e.target.checked)} />}
+                    label="Split across categories"
+                />
+                {split && (
+                    <SplitEditor sum={sum} splits={splits} setSplits={setSplits} categories={categoryOptions} />
+                )}
+            </DialogContent>
+
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button variant="contained" onClick={save} disabled={saving}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
@@ -0,0 +1,82 @@
+/**
+ * ForecastChart.jsx
+ * -----------------
+ * Month-end forecast for the Charts tab (month mode): cumulative spend so far, the projected path to the
+ * end of the month with its likely range as a band, and the previous month's total as a reference line.
+ *
+ * Notes (team):
+ * - Data comes from dbApi.getForecast (idb.js): forecast.days is already the cumulative curve per day.
+ * - Only shown for the current or a coming month; a past month has nothing left to project.
+ * - `reloadKey` comes from Charts, which already listens for changes made in other tabs.
+ */
+
+import React, { useMemo } from "react";
+import { Alert, Box, Divider, Typography } from "@mui/material";
+import {
+    Area,
+    CartesianGrid,
+    ComposedChart,
+    Legend,
+    Line,
+    ReferenceLine,
+    ResponsiveContainer,
+    Tooltip,
+    XAxis,
+    YAxis
+} from "recharts";
+import useForecast from "./useForecast";
+
+export default function ForecastChart({ dbApi, year, month, currency, rateMode, appliedFilters, reloadKey }) {
+    const { forecast, error } = useForecast(dbApi, year, month, currency, {
+        rateMode,
+        filters: appliedFilters,
+        reloadKey
+    });
+
+    // Range areas take [low, high] per point (null = no band on that day)
+    const data = useMemo(() => (forecast
+        ? forecast.days.map(d => ({ ...d, band: d.low === null ? null : [d.low, d.high] }))
+        : []), [forecast]);
+
+    if (error) return <Alert severity="error">{error}</Alert>;
+    if (!forecast || forecast.status === "past") return null;
+
+    return (
+        <>
+            <Divider sx={{ my: 3 }} />
+
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                Month-end forecast ({currency}): {forecast.projected} ({forecast.low} – {forecast.high})
+            </Typography>
+
+            <Box sx={{ height: 320 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={data}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="day" />
+                        <YAxis />
+                        <Tooltip />
+                        <Legend />
+
+                        <Area dataKey="band" name="Likely range" fill="#3F51B5" fillOpacity={0.15} stroke="none" />
+                        <Line dataKey="actual" name="Spent" stroke="#3F51B5" strokeWidth={2} dot={false} />
+                        <Line
+                            dataKey="projected"
+                            name="Projected"
+                            stroke="#3F51B5"
+                            strokeDasharray="6 3"
+                            strokeWidth={2}
+                            dot={false}
+                        />
+                        <ReferenceLine
+                            y={forecast.previousTotal}
+                            stroke="#9E9E9E"
+                            strokeDasharray="6 3"
+                            label={{ value: "Previous month", position: "insideTopLeft" }}
+                        />
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </Box>
+        </>
+    );
+}
@@ -0,0 +1,67 @@
+/**
+ * ForecastSummary.jsx
+ * -------------------
+ * End-of-month forecast for the month shown in the Report tab: the projected total with its range,
+ * compared with the previous month, and what the projection is built from.
+ *
+ * Notes (team):
+ * - The projection comes from dbApi.getForecast (idb.js), in the report currency with the same rate mode
+ *   and filters as the report. It reloads whenever App rebuilds the report.
+ * - Months that are over already have their actual total (the report itself), so nothing is shown for them.
+ */
+
+import React from "react";
+import { Alert, Box, Typography } from "@mui/material";
+import useForecast from "./useForecast";
+
+// "+12.5%" / "-3%" change of `value` against `base` (null without a base to compare with)
+function changeOf(value, base) {
+    if (!base) return null;
+    const pct = Math.round(((value - base) / base) * 1000) / 10;
+    return `${pct > 0 ? "+" : ""}${pct}%`;
+}
+
+export default function ForecastSummary({ dbApi, report, rateMode, appliedFilters }) {
+    const { forecast, error } = useForecast(dbApi, report.year, report.month, report.total.currency, {
+        rateMode,
+        filters: appliedFilters,
+        reloadKey: report
+    });
+
+    if (error) return <Alert severity="error" sx={{ mt: 3 }}>{error}</Alert>;
+    if (!forecast || forecast.status === "past") return null;
+
+    const { currency } = forecast;
+    const change = changeOf(forecast.projected, forecast.previousTotal);
+
+    return (
+        <Box sx={{ mt: 3 }}>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                Month-end forecast ({currency})
+            </Typography>
+
+            <Box sx={{ display: "flex", gap: 3, flexWrap: "wrap", mb: 1 }}>
+                <Typography sx={{ fontWeight: 800 }}>
+                    Projected: {forecast.projected}
+                </Typography>
+                <Typography>
+                    Likely range: {forecast.low} – {forecast.high}
+                </Typography>
+                <Typography color={change && forecast.projected > forecast.previousTotal ? "error" : "text.primary"}>
+                    Previous month: {forecast.previousTotal}
+                    {change && ` (${change})`}
+                </Typography>
+            </Box>
+
+            <Typography variant="body2" sx={{ opacity: 0.8 }}>
+                {forecast.status === "current"
+                    ? `Day ${forecast.daysElapsed} of ${forecast.daysInMonth}: ${forecast.spent} spent so far, `
+                        + `${forecast.runRate} / day on non-recurring items. `
+                    : "This month hasn't started yet. "}
+                {forecast.historicalAverage !== null
+                    && `Same month in past years: ${forecast.historicalAverage} on average (non-recurring). `}
+                Already known (including recurring items still due): {forecast.known}.
+            </Typography>
+        </Box>
+    );
+}
@@ -0,0 +1,109 @@
+/**
+ * IncomeSummary.jsx
+ * -----------------
+ * Income / expenses / net for the report period, plus the income entries themselves (shown inside the
+ * Report tab, under the cost items).
+ *
+ * Notes (team):
+ * - Everything comes already converted to the report currency (report.balance / report.income from idb.js).
+ * - Income is added from the Add Cost tab (Income toggle); here entries can only be deleted (dbApi, SRP).
+ */
+
+import React, { useState } from "react";
+import {
+    Alert,
+    Box,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Tooltip,
+    Typography
+} from "@mui/material";
+import DeleteIcon from "@mui/icons-material/Delete";
+
+export default function IncomeSummary({ report, dbApi, onChanged }) {
+    const [error, setError] = useState("");
+    const { balance } = report;
+    const isRange = Boolean(report.from);
+
+    async function remove(entry) {
+        if (!window.confirm(`Delete the income "${entry.source}" (${entry.sum} ${entry.currency})?`)) return;
+
+        setError("");
+        try {
+            await dbApi.deleteIncome(entry.id);
+            onChanged?.();
+        } catch (e) {
+            setError(e?.message || "Failed to delete income.");
+        }
+    }
+
+    return (
+        <Box sx={{ mt: 3 }}>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                Income and balance ({balance.currency})
+            </Typography>
+
+            <Box sx={{ display: "flex", gap: 3, flexWrap: "wrap", mb: 1 }}>
+                <Typography>Income: {balance.income}</Typography>
+                <Typography>Expenses: {balance.expenses}</Typography>
+                <Typography sx={{ fontWeight: 800 }} color={balance.net < 0 ? "error" : "success.main"}>
+                    Net: {balance.net}
+                </Typography>
+            </Box>
+
+            {error && (
+                <Alert severity="error" sx={{ mb: 1 }}>
+                    {error}
+                </Alert>
+            )}
+
+            {report.income.length > 0 && (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell sx={{ fontWeight: 900 }}>{isRange ? "Date" : "Day"}</TableCell>
+                            <TableCell sx={{ fontWeight: 900 }}>Source</TableCell>
+                            <TableCell sx={{ fontWeight: 900 }}>Description</TableCell>
+                            <TableCell sx={{ fontWeight: 900 }}>Sum</TableCell>
+                            <TableCell sx={{ fontWeight: 900 }}>In {balance.currency}</TableCell>
+                            <TableCell />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {report.income.map((e) => (
+                            <TableRow key={e.id}>
+                                <TableCell sx={{ whiteSpace: "nowrap" }}>{isRange ? e.date : e.day}</TableCell>
+                                <TableCell>{e.source}</TableCell>
+                                <TableCell>{e.description}</TableCell>
+                                <TableCell sx={{ whiteSpace: "nowrap" }}>{e.sum} {e.currency}</TableCell>
+                                <TableCell>
+                                    {e.conversionError ? (
+                                        <Tooltip title={e.conversionError}>
+                                            <Typography variant="body2" color="error" component="span">
+                                                No rate
+                                            </Typography>
+                                        </Tooltip>
+                                    ) : e.converted}
+                                </TableCell>
+                                <TableCell align="right">
+                                    <IconButton
+                                        size="small"
+                                        aria-label="delete income"
+                                        onClick={() => remove(e)}
+                                        disabled={!dbApi}
+                                    >
+                                        <DeleteIcon fontSize="small" />
+                                    </IconButton>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </Box>
+    );
+}
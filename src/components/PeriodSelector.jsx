@@ -0,0 +1,124 @@
+/**
+ * PeriodSelector.jsx
+ * ------------------
+ * Shared period controls for the Report and Charts tabs: a preset type + the fields that preset needs.
+ *
+ * Notes (team):
+ * - "month" is the original monthly report (year + month selectors, budgets included).
+ * - Quarter / fiscal year / year / custom are turned into a date range by periodRange() in lib/dates.js,
+ *   and App.jsx queries dbApi.getRangeReport(...) for them.
+ * - All state lives in App.jsx, so both tabs always show the same period.
+ */
+
+import React from "react";
+import { MenuItem, TextField } from "@mui/material";
+
+const PERIOD_TYPES = [
+    { value: "month", label: "Month" },
+    { value: "quarter", label: "Quarter" },
+    { value: "fiscal", label: "Fiscal year" },
+    { value: "year", label: "Calendar year" },
+    { value: "custom", label: "Custom range" }
+];
+
+const MONTHS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+export default function PeriodSelector({ period, setPeriod, year, setYear, month, setMonth }) {
+    const update = (patch) => setPeriod(p => ({ ...p, ...patch }));
+
+    return (
+        <>
+            <TextField
+                label="Period"
+                value={period.type}
+                onChange={(e) => update({ type: e.target.value })}
+                select
+                sx={{ minWidth: 160 }}
+            >
+                {PERIOD_TYPES.map((t) => (
+                    <MenuItem key={t.value} value={t.value}>
+                        {t.label}
+                    </MenuItem>
+                ))}
+            </TextField>
+
+            {period.type !== "custom" && (
+                <TextField
+                    label={period.type === "fiscal" ? "Fiscal year (start)" : "Year"}
+                    value={year}
+                    onChange={(e) => setYear(Number(e.target.value))}
+                    type="number"
+                    sx={{ minWidth: 140 }}
+                />
+            )}
+
+            {/* Simple month selector (1..12) to avoid free-text month input mistakes. */}
+            {period.type === "month" && (
+                <TextField
+                    label="Month"
+                    value={month}
+                    onChange={(e) => setMonth(Number(e.target.value))}
+                    select
+                    sx={{ minWidth: 140 }}
+                >
+                    {MONTHS.map((m) => (
+                        <MenuItem key={m} value={m}>
+                            {m}
+                        </MenuItem>
+                    ))}
+                </TextField>
+            )}
+
+            {period.type === "quarter" && (
+                <TextField
+                    label="Quarter"
+                    value={period.quarter}
+                    onChange={(e) => update({ quarter: Number(e.target.value) })}
+                    select
+                    sx={{ minWidth: 120 }}
+                >
+                    {[1, 2, 3, 4].map((q) => (
+                        <MenuItem key={q} value={q}>
+                            Q{q}
+                        </MenuItem>
+                    ))}
+                </TextField>
+            )}
+
+            {period.type === "fiscal" && (
+                <TextField
+                    label="Starts in month"
+                    value={period.fiscalStartMonth}
+                    onChange={(e) => update({ fiscalStartMonth: Number(e.target.value) })}
+                    select
+                    sx={{ minWidth: 150 }}
+                >
+                    {MONTHS.map((m) => (
+                        <MenuItem key={m} value={m}>
+                            {m}
+                        </MenuItem>
+                    ))}
+                </TextField>
+            )}
+
+            {period.type === "custom" && (
+                <>
+                    <TextField
+                        label="From"
+                        value={period.from}
+                        onChange={(e) => update({ from: e.target.value })}
+                        type="date"
+                        InputLabelProps={{ shrink: true }}
+                    />
+                    <TextField
+                        label="To"
+                        value={period.to}
+                        onChange={(e) => update({ to: e.target.value })}
+                        type="date"
+                        InputLabelProps={{ shrink: true }}
+                    />
+                </>
+            )}
+        </>
+    );
+}
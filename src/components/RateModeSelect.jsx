@@ -0,0 +1,25 @@
+/**
+ * RateModeSelect.jsx
+ * ------------------
+ * Shared selector for how reports convert currencies (used by Report + Charts tabs).
+ * - "historical": each item at the rate in effect on its own day (past reports stay stable)
+ * - "current": everything at today's rates
+ */
+
+import React from "react";
+import { MenuItem, TextField } from "@mui/material";
+
+export default function RateModeSelect({ rateMode, setRateMode }) {
+    return (
+        <TextField
+            label="Conversion"
+            value={rateMode}
+            onChange={(e) => setRateMode(e.target.value)}
+            select
+            sx={{ minWidth: 180 }}
+        >
+            <MenuItem value="historical">Rate on expense day</MenuItem>
+            <MenuItem value="current">Current rate</MenuItem>
+        </TextField>
+    );
+}
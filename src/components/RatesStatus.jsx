@@ -0,0 +1,51 @@
+/**
+ * RatesStatus.jsx
+ * ---------------
+ * Small "rates as of …" line under a report, or a warning when idb.js had to fall back to
+ * cached (stale) rates because the rates URL was unreachable.
+ * Input is report.ratesInfo = { fetchedAt, stale } from getReport.
+ * With report.unconverted = { count, reasons } it also warns about items left out of the totals
+ * because their currency has no rate (each row shows its own error in the Report table).
+ */
+
+import React from "react";
+import { Alert, Typography } from "@mui/material";
+
+function UnconvertedWarning({ unconverted }) {
+    if (!unconverted || unconverted.count === 0) return null;
+
+    return (
+        <Alert severity="error" sx={{ mb: 2 }}>
+            {unconverted.count === 1 ? "1 item is" : `${unconverted.count} items are`} not included in the
+            totals: {unconverted.reasons.join("; ")}.
+        </Alert>
+    );
+}
+
+export default function RatesStatus({ ratesInfo, unconverted }) {
+    if (!ratesInfo) return null;
+
+    const asOf = ratesInfo.fetchedAt ? new Date(ratesInfo.fetchedAt).toLocaleString() : null;
+
+    if (ratesInfo.stale) {
+        return (
+            <>
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                    {asOf
+                        ? `Stale rates: the rates server is unreachable, using rates as of ${asOf}.`
+                        : "No exchange rates available: the rates server is unreachable."}
+                </Alert>
+                <UnconvertedWarning unconverted={unconverted} />
+            </>
+        );
+    }
+
+    return (
+        <>
+            <Typography variant="caption" sx={{ display: "block", mb: 1, opacity: 0.7 }}>
+                Rates as of {asOf}
+            </Typography>
+            <UnconvertedWarning unconverted={unconverted} />
+        </>
+    );
+}
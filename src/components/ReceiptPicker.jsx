@@ -0,0 +1,36 @@
+/**
+ * ReceiptPicker.jsx
+ * -----------------
+ * "Take photo" + "Attach files" buttons for receipts (images or PDFs).
+ * Used by AddCostForm (new items) and the receipt viewer (existing items).
+ *
+ * Notes (team):
+ * - Only picks files: storing them (and validating type/size) is done by idb.js (SRP).
+ * - `capture` opens the camera directly on phones; desktops just show the file picker.
+ */
+
+import React from "react";
+import { Box, Button } from "@mui/material";
+import PhotoCameraIcon from "@mui/icons-material/PhotoCamera";
+import AttachFileIcon from "@mui/icons-material/AttachFile";
+
+export default function ReceiptPicker({ onPick, disabled }) {
+    function pick(e) {
+        const files = Array.from(e.target.files || []);
+        e.target.value = ""; // allow picking the same file again
+        if (files.length > 0) onPick(files);
+    }
+
+    return (
+        <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+            <Button size="small" component="label" startIcon={<PhotoCameraIcon />} disabled={disabled}>
+                Take photo
+                <input type="file" accept="image/*" capture="environment" hidden onChange={pick} />
+            </Button>
+            <Button size="small" component="label" startIcon={<AttachFileIcon />} disabled={disabled}>
+                Attach files
+                <input type="file" accept="image/*,application/pdf" multiple hidden onChange={pick} />
+            </Button>
+        </Box>
+    );
+}
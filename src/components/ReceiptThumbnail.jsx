@@ -0,0 +1,32 @@
+/**
+ * ReceiptThumbnail.jsx
+ * --------------------
+ * Small preview of one stored receipt: the image itself, or a PDF icon.
+ * Used in the Report rows and in the receipt viewer's strip.
+ */
+
+import React from "react";
+import { Box } from "@mui/material";
+import PictureAsPdfIcon from "@mui/icons-material/PictureAsPdf";
+import { useObjectUrl } from "../lib/objectUrl";
+
+export default function ReceiptThumbnail({ attachment, size = 32 }) {
+    const url = useObjectUrl(attachment.type.startsWith("image/") ? attachment.blob : null);
+
+    if (!url) {
+        return (
+            <Box sx={{ width: size, height: size, display: "grid", placeItems: "center" }}>
+                <PictureAsPdfIcon color="error" sx={{ fontSize: size * 0.8 }} />
+            </Box>
+        );
+    }
+
+    return (
+        <Box
+            component="img"
+            src={url}
+            alt={attachment.name}
+            sx={{ width: size, height: size, objectFit: "cover", borderRadius: 1, display: "block" }}
+        />
+    );
+}
@@ -0,0 +1,140 @@
+/**
+ * ReceiptViewer.jsx
+ * -----------------
+ * Dialog showing the receipts of one cost item (images inline, PDFs in the browser's viewer),
+ * with download / delete per receipt and buttons to attach more.
+ *
+ * Notes (team):
+ * - `cost` null = closed (same contract as EditCostDialog). The receipts come with the report row
+ *   (cost.attachments), so after a change onChanged() rebuilds the report and this dialog follows it.
+ * - Persistence goes through dbApi.addAttachments/deleteAttachment (SRP).
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    ButtonBase,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Typography
+} from "@mui/material";
+import ReceiptPicker from "./ReceiptPicker";
+import ReceiptThumbnail from "./ReceiptThumbnail";
+import { useObjectUrl } from "../lib/objectUrl";
+
+function FullView({ attachment }) {
+    const url = useObjectUrl(attachment.blob);
+    if (!url) return null;
+
+    return attachment.type.startsWith("image/") ? (
+        <Box component="img" src={url} alt={attachment.name} sx={{ maxWidth: "100%", maxHeight: "65vh" }} />
+    ) : (
+        <Box component="iframe" src={url} title={attachment.name} sx={{ width: "100%", height: "65vh", border: 0 }} />
+    );
+}
+
+function DownloadButton({ attachment }) {
+    const url = useObjectUrl(attachment.blob);
+    return (
+        <Button component="a" href={url || undefined} download={attachment.name} disabled={!url}>
+            Download
+        </Button>
+    );
+}
+
+export default function ReceiptViewer({ cost, dbApi, onClose, onChanged }) {
+    const [selected, setSelected] = useState(0);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        // Every item opens on its first receipt
+        setSelected(0);
+        setError("");
+    }, [cost?.id]);
+
+    const attachments = cost?.attachments || [];
+    // A deleted receipt may have been the last one in the list
+    const current = attachments[Math.min(selected, attachments.length - 1)];
+
+    async function run(action, fallback) {
+        setError("");
+        try {
+            await action();
+            onChanged?.();
+        } catch (e) {
+            setError(e?.message || fallback);
+        }
+    }
+
+    function remove() {
+        if (!window.confirm(`Delete the receipt "${current.name}"?`)) return;
+        run(() => dbApi.deleteAttachment(current.id), "Failed to delete the receipt.");
+    }
+
+    return (
+        <Dialog open={Boolean(cost)} onClose={onClose} fullWidth maxWidth="md">
+            <DialogTitle sx={{ fontWeight: 900 }}>Receipts – {cost?.description}</DialogTitle>
+
+            <DialogContent>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {attachments.length === 0 && (
+                    <Typography sx={{ mb: 2, opacity: 0.8 }}>No receipts attached to this item yet.</Typography>
+                )}
+
+                {attachments.length > 1 && (
+                    <Box sx={{ display: "flex", gap: 1, mb: 2, flexWrap: "wrap" }}>
+                        {attachments.map((a) => (
+                            <ButtonBase
+                                key={a.id}
+                                onClick={() => setSelected(attachments.indexOf(a))}
+                                aria-label={a.name}
+                                sx={{ p: 0.5, borderRadius: 1, outline: a === current ? "2px solid" : "none" }}
+                            >
+                                <ReceiptThumbnail attachment={a} size={48} />
+                            </ButtonBase>
+                        ))}
+                    </Box>
+                )}
+
+                {current && (
+                    <>
+                        <Box sx={{ textAlign: "center" }}>
+                            <FullView attachment={current} />
+                        </Box>
+                        <Typography variant="caption" sx={{ display: "block", mt: 1, opacity: 0.7 }}>
+                            {current.name} · {Math.ceil(current.size / 1024)} KB
+                        </Typography>
+                    </>
+                )}
+
+                <Box sx={{ mt: 2 }}>
+                    <ReceiptPicker
+                        disabled={!dbApi}
+                        onPick={(files) => run(() => dbApi.addAttachments(cost.id, files), "Failed to attach the receipt.")}
+                    />
+                </Box>
+            </DialogContent>
+
+            <DialogActions>
+                {current && (
+                    <>
+                        <DownloadButton attachment={current} />
+                        <Button color="error" onClick={remove} disabled={!dbApi}>
+                            Delete
+                        </Button>
+                    </>
+                )}
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
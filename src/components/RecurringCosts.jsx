@@ -0,0 +1,364 @@
+/**
+ * RecurringCosts.jsx
+ * ------------------
+ * Screen for managing recurring cost rules (rent, phone, subscriptions...).
+ *
+ * Notes (team):
+ * - Rules are stored in their own IndexedDB store; idb.js turns due occurrences into
+ *   regular cost items when the DB opens (and right after a rule is saved).
+ * - Generated items link back to their rule, so a single month can still be edited or
+ *   deleted from the Report tab without touching the schedule.
+ * - This component only handles UI + validation; persistence goes through dbApi (SRP).
+ */
+
+import React, { useEffect, useState } from "react";
+import {
+    Alert,
+    Box,
+    Button,
+    Card,
+    CardContent,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogContentText,
+    DialogTitle,
+    IconButton,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    TextField,
+    Tooltip,
+    Typography
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import SkipNextIcon from "@mui/icons-material/SkipNext";
+import { toDateKey } from "../lib/dates";
+import { subscribeChanges } from "../lib/sync";
+
+const FREQUENCIES = [
+    { value: "weekly", label: "Weekly" },
+    { value: "monthly", label: "Monthly" },
+    { value: "yearly", label: "Yearly" }
+];
+
+function emptyRule(categories = []) {
+    return {
+        sum: "",
+        currency: "USD",
+        category: categories.includes("Bills") ? "Bills" : categories[0] || "",
+        description: "",
+        frequency: "monthly",
+        startDate: toDateKey(new Date()),
+        endDate: ""
+    };
+}
+
+function RuleDialog({ rule, currencies, categories, onClose, onSave }) {
+    // `rule` is null when closed, {} for a new rule, or an existing rule for editing.
+    const [form, setForm] = useState(emptyRule);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        if (!rule) return;
+
+        setForm({ ...emptyRule(categories), ...rule, sum: rule.sum ?? "", endDate: rule.endDate || "" });
+        setError("");
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [rule]);
+
+    function field(name) {
+        return {
+            value: form[name],
+            onChange: (e) => setForm(f => ({ ...f, [name]: e.target.value }))
+        };
+    }
+
+    async function save() {
+        const n = Number(form.sum);
+
+        // Same rules as AddCostForm, plus schedule checks
+        if (!Number.isFinite(n) || n <= 0) {
+            setError("Sum must be a positive number.");
+            return;
+        }
+
+        if (!form.description.trim()) {
+            setError("Description is required.");
+            return;
+        }
+
+        if (!form.startDate) {
+            setError("Start date is required.");
+            return;
+        }
+
+        if (form.endDate && form.endDate < form.startDate) {
+            setError("End date must not be before the start date.");
+            return;
+        }
+
+        try {
+            await onSave({
+                sum: n,
+                currency: form.currency,
+                category: form.category,
+                description: form.description.trim(),
+                frequency: form.frequency,
+                startDate: form.startDate,
+                endDate: form.endDate || null
+            });
+            onClose();
+        } catch (e) {
+            setError(e?.message || "Failed to save recurring cost.");
+        }
+    }
+
+    // An edited rule may still point at an archived category
+    const categoryOptions = form.category && !categories.includes(form.category)
+        ? [...categories, form.category]
+        : categories;
+
+    return (
+        <Dialog open={Boolean(rule)} onClose={onClose} fullWidth maxWidth="sm">
+            <DialogTitle sx={{ fontWeight: 900 }}>
+                {rule?.id ? "Edit Recurring Cost" : "New Recurring Cost"}
+            </DialogTitle>
+
+            <DialogContent sx={{ pt: 1 }}>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Box
+                    sx={{
+                        display: "grid",
+                        gap: 2,
+                        pt: 1,
+                        gridTemplateColumns: { xs: "1fr", sm: "1fr 1fr" }
+                    }}
+                >
+                    <TextField label="Sum" type="number" inputProps={{ step: "0.01" }} {...field("sum")} />
+
+                    <TextField label="Currency" select {...field("currency")}>
+                        {currencies.map((c) => (
+                            <MenuItem key={c} value={c}>
+                                {c}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+
+                    <TextField label="Category" select {...field("category")}>
+                        {categoryOptions.map((c) => (
+                            <MenuItem key={c} value={c}>
+                                {c}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+
+                    <TextField label="Description" {...field("description")} />
+
+                    <TextField label="Repeats" select {...field("frequency")}>
+                        {FREQUENCIES.map((f) => (
+                            <MenuItem key={f.value} value={f.value}>
+                                {f.label}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+
+                    <Box />
+
+                    <TextField
+                        label="Start date"
+                        type="date"
+                        InputLabelProps={{ shrink: true }}
+                        {...field("startDate")}
+                    />
+
+                    <TextField
+                        label="End date (optional)"
+                        type="date"
+                        InputLabelProps={{ shrink: true }}
+                        {...field("endDate")}
+                    />
+                </Box>
+            </DialogContent>
+
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button variant="contained" onClick={save}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+export default function RecurringCosts({ dbApi, currencies, categories, onChanged }) {
+    const [rules, setRules] = useState([]);
+    const [error, setError] = useState("");
+    const [editing, setEditing] = useState(null);
+    const [deleting, setDeleting] = useState(null);
+
+    async function load() {
+        if (!dbApi) return;
+
+        try {
+            setRules(await dbApi.getRecurring());
+        } catch (e) {
+            setError(e?.message || "Failed to load recurring costs.");
+        }
+    }
+
+    useEffect(() => {
+        load();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [dbApi]);
+
+    // Rules edited in another tab (lib/sync.js)
+    useEffect(() => subscribeChanges((change) => {
+        if (change.stores?.includes("recurring")) load();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }), [dbApi]);
+
+    // Any rule change may generate cost items, so the parent report is refreshed too.
+    async function run(action) {
+        setError("");
+        try {
+            await action();
+            await load();
+            onChanged?.();
+        } catch (e) {
+            setError(e?.message || "Recurring cost operation failed.");
+        }
+    }
+
+    async function save(values) {
+        // Errors propagate to RuleDialog so they are shown next to the form.
+        if (editing?.id) await dbApi.updateRecurring(editing.id, values);
+        else await dbApi.addRecurring(values);
+
+        await load();
+        onChanged?.();
+    }
+
+    async function confirmDelete() {
+        const target = deleting;
+        setDeleting(null);
+        await run(() => dbApi.deleteRecurring(target.id));
+    }
+
+    return (
+        <Card>
+            <CardContent>
+                <Box sx={{ display: "flex", alignItems: "center", mb: 2 }}>
+                    <Typography variant="h5" sx={{ fontWeight: 900, flexGrow: 1 }}>
+                        Recurring Costs
+                    </Typography>
+
+                    <Button
+                        variant="contained"
+                        startIcon={<AddIcon />}
+                        onClick={() => setEditing({})}
+                        disabled={!dbApi}
+                    >
+                        New
+                    </Button>
+                </Box>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {rules.length === 0 ? (
+                    <Alert severity="info">
+                        No recurring costs yet. Add rent, bills or subscriptions once and they are filed every period.
+                    </Alert>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell sx={{ fontWeight: 900 }}>Description</TableCell>
+                                <TableCell sx={{ fontWeight: 900 }}>Sum</TableCell>
+                                <TableCell sx={{ fontWeight: 900 }}>Category</TableCell>
+                                <TableCell sx={{ fontWeight: 900 }}>Repeats</TableCell>
+                                <TableCell sx={{ fontWeight: 900 }}>Period</TableCell>
+                                <TableCell sx={{ fontWeight: 900 }}>Next</TableCell>
+                                <TableCell sx={{ fontWeight: 900 }} align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+
+                        <TableBody>
+                            {rules.map((r) => (
+                                <TableRow key={r.id}>
+                                    <TableCell>{r.description}</TableCell>
+                                    <TableCell>{r.sum} {r.currency}</TableCell>
+                                    <TableCell>{r.category}</TableCell>
+                                    <TableCell sx={{ textTransform: "capitalize" }}>{r.frequency}</TableCell>
+                                    <TableCell>{r.startDate} – {r.endDate || "…"}</TableCell>
+                                    <TableCell>{r.nextDate || "Ended"}</TableCell>
+                                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                                        <Tooltip title="Skip next occurrence">
+                                            <span>
+                                                <IconButton
+                                                    size="small"
+                                                    aria-label="skip next"
+                                                    disabled={!r.nextDate}
+                                                    onClick={() => run(() => dbApi.skipNextOccurrence(r.id))}
+                                                >
+                                                    <SkipNextIcon fontSize="small" />
+                                                </IconButton>
+                                            </span>
+                                        </Tooltip>
+                                        <IconButton size="small" aria-label="edit" onClick={() => setEditing(r)}>
+                                            <EditIcon fontSize="small" />
+                                        </IconButton>
+                                        <IconButton size="small" aria-label="delete" onClick={() => setDeleting(r)}>
+                                            <DeleteIcon fontSize="small" />
+                                        </IconButton>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+
+                <Typography variant="caption" sx={{ display: "block", mt: 1, opacity: 0.7 }}>
+                    Note: generated items appear in the Report tab and can be edited or deleted one at a time.
+                </Typography>
+            </CardContent>
+
+            <RuleDialog
+                rule={editing}
+                currencies={currencies}
+                categories={categories}
+                onClose={() => setEditing(null)}
+                onSave={save}
+            />
+
+            <Dialog open={Boolean(deleting)} onClose={() => setDeleting(null)}>
+                <DialogTitle sx={{ fontWeight: 900 }}>Delete recurring cost?</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        No new items will be generated. Items already in your reports are kept.
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDeleting(null)}>Cancel</Button>
+                    <Button color="error" variant="contained" onClick={confirmDelete}>
+                        Delete
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Card>
+    );
+}
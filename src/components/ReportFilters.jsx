@@ -0,0 +1,136 @@
+/**
+ * ReportFilters.jsx
+ * -----------------
+ * Filter toolbar for the Report and Charts tabs: description/tag search, category/currency/tag/account
+ * multi-selects and a min/max amount range.
+ *
+ * Notes (team):
+ * - Filter state lives in App.jsx (like year/month/currency), so both tabs always show the same subset.
+ * - Filtering itself is done by idb.js (see lib/filters.js), so totals and charts reflect it.
+ * - Amounts are compared in the report currency (converted), not the item's original currency.
+ */
+
+import React from "react";
+import { Box, Button, MenuItem, TextField } from "@mui/material";
+import FilterAltOffIcon from "@mui/icons-material/FilterAltOff";
+import { NO_ACCOUNT, NO_ACCOUNT_LABEL } from "../lib/accounts";
+import { EMPTY_FILTERS, hasActiveFilters } from "../lib/filters";
+
+export default function ReportFilters({ filters, setFilters, categories, currencies, tags, accounts, currency }) {
+    const update = (patch) => setFilters(f => ({ ...f, ...patch }));
+
+    // MUI multi-select: value is an array, rendered as a comma-separated list
+    const multiSelectProps = {
+        multiple: true,
+        renderValue: (selected) => selected.join(", ")
+    };
+
+    // Account filter values are ids (+ NO_ACCOUNT); show names instead
+    const accountName = (id) => (id === NO_ACCOUNT
+        ? NO_ACCOUNT_LABEL
+        : accounts.find(a => a.id === id)?.name ?? "Deleted account");
+
+    return (
+        <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center", mb: 2 }}>
+            <TextField
+                label="Search description / tags"
+                value={filters.search}
+                onChange={(e) => update({ search: e.target.value })}
+                size="small"
+                sx={{ minWidth: 200, flexGrow: 1 }}
+            />
+
+            <TextField
+                label="Categories"
+                value={filters.categories}
+                onChange={(e) => update({ categories: e.target.value })}
+                select
+                SelectProps={multiSelectProps}
+                size="small"
+                sx={{ minWidth: 160 }}
+            >
+                {categories.map((c) => (
+                    <MenuItem key={c} value={c}>
+                        {c}
+                    </MenuItem>
+                ))}
+            </TextField>
+
+            <TextField
+                label="Currencies"
+                value={filters.currencies}
+                onChange={(e) => update({ currencies: e.target.value })}
+                select
+                SelectProps={multiSelectProps}
+                size="small"
+                sx={{ minWidth: 140 }}
+            >
+                {currencies.map((c) => (
+                    <MenuItem key={c} value={c}>
+                        {c}
+                    </MenuItem>
+                ))}
+            </TextField>
+
+            <TextField
+                label="Tags"
+                value={filters.tags}
+                onChange={(e) => update({ tags: e.target.value })}
+                select
+                SelectProps={multiSelectProps}
+                size="small"
+                sx={{ minWidth: 140 }}
+                disabled={tags.length === 0}
+            >
+                {tags.map((t) => (
+                    <MenuItem key={t} value={t}>
+                        {t}
+                    </MenuItem>
+                ))}
+            </TextField>
+
+            <TextField
+                label="Accounts"
+                value={filters.accounts}
+                onChange={(e) => update({ accounts: e.target.value })}
+                select
+                SelectProps={{ multiple: true, renderValue: (selected) => selected.map(accountName).join(", ") }}
+                size="small"
+                sx={{ minWidth: 140 }}
+            >
+                {[...accounts.map(a => a.id), NO_ACCOUNT].map((id) => (
+                    <MenuItem key={id} value={id}>
+                        {accountName(id)}
+                    </MenuItem>
+                ))}
+            </TextField>
+
+            <TextField
+                label={`Min (${currency})`}
+                value={filters.min}
+                onChange={(e) => update({ min: e.target.value })}
+                type="number"
+                size="small"
+                sx={{ width: 120 }}
+            />
+
+            <TextField
+                label={`Max (${currency})`}
+                value={filters.max}
+                onChange={(e) => update({ max: e.target.value })}
+                type="number"
+                size="small"
+                sx={{ width: 120 }}
+            />
+
+            <Button
+                size="small"
+                startIcon={<FilterAltOffIcon />}
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                disabled={!hasActiveFilters(filters)}
+            >
+                Clear
+            </Button>
+        </Box>
+    );
+}
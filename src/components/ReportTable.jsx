@@ -1,50 +1,122 @@
 /**
  * ReportTable.jsx
  * --------------
- * Renders the “Monthly Report” screen.
+ * Renders the “Report” screen (a month, or any date range picked in PeriodSelector).
  *
  * Notes (team):
- * - This component is presentation + user input only (year/month/currency selectors).
+ * - This component is presentation + user input only (period/currency selectors).
  * - It does NOT query IndexedDB directly; App.jsx passes the already-built `report`.
+ * - CSV export/import lives in CsvActions (export = stored items, import = wizard + batch insert).
+ * - Budget vs. actual per category is rendered by BudgetSummary from report.categories.
+ * - Filters (ReportFilters) are shared with Charts via App.jsx and applied by idb.js, so the total
+ *   already reflects them. Sorting is local to this table (it doesn't change any number).
+ * - Edit/delete actions go through dbApi.updateCost/deleteCost, then onChanged() lets App rebuild the report.
+ * - Rows are rendered by CostRow (shared with the Charts calendar).
+ * - Receipts come with each row (cost.attachments): a thumbnail in the row, ReceiptViewer for the rest.
+ * - Split items list their portions under the category; tags are shown as chips under the description.
+ * - Once accounts exist, rows show their account and report.accounts is listed as per-account subtotals.
+ * - Periods with income get IncomeSummary (income / expenses / net + the income entries).
+ * - "Export statement" opens StatementDialog: the month's report as a printable page (print or save as PDF).
+ * - A month that isn't over yet gets ForecastSummary (projected month-end total vs. the previous month).
  * - The report object structure matches the assignment’s required shape:
  *   { year, month, costs: [...], total: { currency, total } }
+ * - Range reports (getRangeReport) have { from, to } instead of year/month; they show the full date
+ *   per row and no budget section (budgets are monthly).
  */
 
-import React from "react";
+import React, { useMemo, useState } from "react";
 import {
     Alert,
     Box,
+    Button,
     Card,
     CardContent,
     CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogContentText,
+    DialogTitle,
     MenuItem,
     Table,
     TableBody,
     TableCell,
     TableHead,
     TableRow,
+    TableSortLabel,
     TextField,
     Typography
 } from "@mui/material";
+import PrintIcon from "@mui/icons-material/Print";
+import CostRow from "./CostRow";
+import EditCostDialog from "./EditCostDialog";
+import ReceiptViewer from "./ReceiptViewer";
+import BudgetSummary from "./BudgetSummary";
+import IncomeSummary from "./IncomeSummary";
+import ForecastSummary from "./ForecastSummary";
+import StatementDialog from "./StatementDialog";
+import CsvActions from "./CsvActions";
+import RateModeSelect from "./RateModeSelect";
+import RatesStatus from "./RatesStatus";
+import PeriodSelector from "./PeriodSelector";
+import ReportFilters from "./ReportFilters";
+import { NO_ACCOUNT_LABEL } from "../lib/accounts";
+import { hasActiveFilters } from "../lib/filters";
 
-function MonthSelector({ month, setMonth }) {
-    // Simple month selector (1..12) to avoid free-text month input mistakes.
-    const months = Array.from({ length: 12 }, (_, i) => i + 1);
+// Sort accessors per column (`converted` = sum in the report currency, set by idb.js)
+const SORT_VALUES = {
+    date: (c) => c.date || "",
+    sum: (c) => c.sum,
+    currency: (c) => c.currency,
+    category: (c) => c.category,
+    description: (c) => (c.description || "").toLowerCase(),
+    // Unconvertible items (converted = null) sort below every amount
+    converted: (c) => c.converted ?? -Infinity
+};
 
+function compareBy(key, direction) {
+    const value = SORT_VALUES[key];
+    const sign = direction === "asc" ? 1 : -1;
+    return (a, b) => {
+        const x = value(a);
+        const y = value(b);
+        return (x < y ? -1 : x > y ? 1 : 0) * sign;
+    };
+}
+
+// Per-account subtotals in the report currency (report.accounts, built by idb.js)
+function AccountSubtotals({ report }) {
+    return (
+        <Box sx={{ mt: 3 }}>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                By account ({report.total.currency})
+            </Typography>
+            <Table size="small">
+                <TableBody>
+                    {report.accounts.map((a) => (
+                        <TableRow key={a.accountId ?? "none"}>
+                            <TableCell>{a.name}</TableCell>
+                            <TableCell align="right">{a.total}</TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </Box>
+    );
+}
+
+// Sortable header cell
+function SortCell({ column, sort, onSort, children }) {
     return (
-        <TextField
-            label="Month"
-            value={month}
-            onChange={(e) => setMonth(Number(e.target.value))}
-            select
-            sx={{ minWidth: 140 }}
-        >
-            {months.map((m) => (
-                <MenuItem key={m} value={m}>
-                    {m}
-                </MenuItem>
-            ))}
-        </TextField>
+        <TableCell sx={{ fontWeight: 900 }}>
+            <TableSortLabel
+                active={sort.key === column}
+                direction={sort.key === column ? sort.direction : "asc"}
+                onClick={() => onSort(column)}
+            >
+                {children}
+            </TableSortLabel>
+        </TableCell>
     );
 }
 
@@ -55,30 +127,108 @@ export default function ReportTable({
                                         setYear,
                                         setMonth,
                                         setCurrency,
+                                        period,
+                                        setPeriod,
+                                        filters,
+                                        setFilters,
+                                        appliedFilters,
+                                        filterCategories,
                                         currencies,
+                                        tagOptions,
+                                        accounts,
+                                        categories,
+                                        categoryColors,
+                                        rateMode,
+                                        setRateMode,
                                         report,
                                         loading,
-                                        error
+                                        error,
+                                        dbApi,
+                                        onChanged
                                     }) {
+    // Item currently open in the edit dialog / awaiting delete confirmation (null = closed)
+    const [editing, setEditing] = useState(null);
+    const [deleting, setDeleting] = useState(null);
+    const [actionError, setActionError] = useState("");
+    // Id (not the row itself) of the item whose receipts are open, so the viewer follows report rebuilds
+    const [viewingId, setViewingId] = useState(null);
+    const [statementOpen, setStatementOpen] = useState(false);
+
+    // Column sort; key null = stored order
+    const [sort, setSort] = useState({ key: null, direction: "asc" });
+
+    // Decided by the report itself (not `period`) so a stale report never renders with the wrong layout
+    const isRange = Boolean(report?.from);
+
+    // The account column/subtotals only make sense once the user has set up accounts
+    const showAccounts = accounts.length > 0;
+    const accountNames = useMemo(() => new Map(accounts.map(a => [a.id, a.name])), [accounts]);
+
+    const rows = useMemo(() => {
+        if (!report) return [];
+        if (!sort.key) return report.costs;
+        return [...report.costs].sort(compareBy(sort.key, sort.direction));
+    }, [report, sort]);
+
+    // Clicking the active column flips the direction, another column starts ascending
+    function toggleSort(key) {
+        setSort(s => ({ key, direction: s.key === key && s.direction === "asc" ? "desc" : "asc" }));
+    }
+
+    async function confirmDelete() {
+        const target = deleting;
+        setDeleting(null);
+        setActionError("");
+
+        try {
+            await dbApi.deleteCost(target.id);
+            onChanged?.();
+        } catch (e) {
+            setActionError(e?.message || "Failed to delete cost item.");
+        }
+    }
+
     return (
         <Card>
             <CardContent>
-                <Typography variant="h5" sx={{ fontWeight: 900, mb: 2 }}>
-                    Monthly Report
-                </Typography>
+                <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2 }}>
+                    <Typography variant="h5" sx={{ fontWeight: 900, flexGrow: 1 }}>
+                        {isRange ? `Report ${report.from} – ${report.to}` : "Monthly Report"}
+                    </Typography>
+
+                    {/* Statements are monthly (what the accountant gets); range reports have none */}
+                    {!isRange && (
+                        <Button
+                            size="small"
+                            startIcon={<PrintIcon />}
+                            onClick={() => setStatementOpen(true)}
+                            disabled={loading || !report}
+                        >
+                            Export statement
+                        </Button>
+                    )}
+                </Box>
+
+                <CsvActions
+                    dbApi={dbApi}
+                    year={year}
+                    month={month}
+                    currencies={currencies}
+                    categories={categories}
+                    onImported={onChanged}
+                />
 
                 {/* Filters are controlled from App.jsx so Report + Charts stay in sync */}
                 <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mb: 2 }}>
-                    <TextField
-                        label="Year"
-                        value={year}
-                        onChange={(e) => setYear(Number(e.target.value))}
-                        type="number"
-                        sx={{ minWidth: 140 }}
+                    <PeriodSelector
+                        period={period}
+                        setPeriod={setPeriod}
+                        year={year}
+                        setYear={setYear}
+                        month={month}
+                        setMonth={setMonth}
                     />
 
-                    <MonthSelector month={month} setMonth={setMonth} />
-
                     <TextField
                         label="Report Currency"
                         value={currency}
@@ -93,8 +243,20 @@ export default function ReportTable({
                             </MenuItem>
                         ))}
                     </TextField>
+
+                    <RateModeSelect rateMode={rateMode} setRateMode={setRateMode} />
                 </Box>
 
+                <ReportFilters
+                    filters={filters}
+                    setFilters={setFilters}
+                    categories={filterCategories}
+                    currencies={currencies}
+                    tags={tagOptions}
+                    accounts={accounts}
+                    currency={currency}
+                />
+
                 {/* Loading state while IndexedDB + rates fetch + conversion happen */}
                 {loading && (
                     <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
@@ -110,48 +272,159 @@ export default function ReportTable({
                     </Alert>
                 )}
 
+                {actionError && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {actionError}
+                    </Alert>
+                )}
+
                 {/* Main report table */}
                 {!loading && report && (
                     <>
+                        <RatesStatus ratesInfo={report.ratesInfo} unconverted={report.unconverted} />
+
                         {/* Total is computed in the selected currency (without changing stored currencies in DB) */}
                         <Typography sx={{ mb: 1, fontWeight: 800 }}>
                             Total ({report.total.currency}): {report.total.total}
+                            {hasActiveFilters(appliedFilters) && " (filtered)"}
                         </Typography>
 
                         <Table size="small">
                             <TableHead>
                                 <TableRow>
-                                    <TableCell sx={{ fontWeight: 900 }}>Day</TableCell>
-                                    <TableCell sx={{ fontWeight: 900 }}>Sum</TableCell>
-                                    <TableCell sx={{ fontWeight: 900 }}>Currency</TableCell>
-                                    <TableCell sx={{ fontWeight: 900 }}>Category</TableCell>
-                                    <TableCell sx={{ fontWeight: 900 }}>Description</TableCell>
+                                    <SortCell column="date" sort={sort} onSort={toggleSort}>
+                                        {isRange ? "Date" : "Day"}
+                                    </SortCell>
+                                    <SortCell column="sum" sort={sort} onSort={toggleSort}>
+                                        Sum
+                                    </SortCell>
+                                    <SortCell column="currency" sort={sort} onSort={toggleSort}>
+                                        Currency
+                                    </SortCell>
+                                    <SortCell column="converted" sort={sort} onSort={toggleSort}>
+                                        In {report.total.currency}
+                                    </SortCell>
+                                    <SortCell column="category" sort={sort} onSort={toggleSort}>
+                                        Category
+                                    </SortCell>
+                                    <SortCell column="description" sort={sort} onSort={toggleSort}>
+                                        Description
+                                    </SortCell>
+                                    {showAccounts && <TableCell sx={{ fontWeight: 900 }}>Account</TableCell>}
+                                    <TableCell sx={{ fontWeight: 900 }}>Receipt</TableCell>
+                                    <TableCell sx={{ fontWeight: 900 }} align="right">Actions</TableCell>
                                 </TableRow>
                             </TableHead>
 
                             <TableBody>
-                                {report.costs.map((c, idx) => (
-                                    <TableRow key={idx}>
-                                        {/* Assignment example uses Date:{day:...}, so we read it safely */}
-                                        <TableCell>{c?.Date?.day ?? "-"}</TableCell>
-
-                                        {/* These fields are the “original” stored values per cost item */}
-                                        <TableCell>{c.sum}</TableCell>
-                                        <TableCell>{c.currency}</TableCell>
-                                        <TableCell>{c.category}</TableCell>
-                                        <TableCell>{c.description}</TableCell>
-                                    </TableRow>
+                                {rows.map((c) => (
+                                    // Keyed by the stored IndexedDB id so rows stay stable after edits/deletes
+                                    <CostRow
+                                        key={c.id}
+                                        cost={c}
+                                        showDate={isRange}
+                                        accountName={showAccounts
+                                            ? accountNames.get(c.accountId) ?? NO_ACCOUNT_LABEL
+                                            : undefined}
+                                        onViewReceipts={() => setViewingId(c.id)}
+                                        onEdit={() => setEditing(c)}
+                                        onDelete={() => setDeleting(c)}
+                                        disabled={!dbApi}
+                                    />
                                 ))}
                             </TableBody>
                         </Table>
+
+                        {showAccounts && report.costs.length > 0 && <AccountSubtotals report={report} />}
                     </>
                 )}
 
                 {/* Friendly empty-state when month/year has no matching records */}
                 {!loading && !error && report && report.costs.length === 0 && (
-                    <Alert severity="info">No costs found for this month.</Alert>
+                    <Alert severity="info">
+                        {hasActiveFilters(appliedFilters)
+                            ? "No costs match the active filters."
+                            : `No costs found for this ${isRange ? "period" : "month"}.`}
+                    </Alert>
+                )}
+
+                {!loading && report && report.income.length > 0 && (
+                    <IncomeSummary report={report} dbApi={dbApi} onChanged={onChanged} />
+                )}
+
+                {!loading && report && !isRange && (
+                    <ForecastSummary
+                        dbApi={dbApi}
+                        report={report}
+                        rateMode={rateMode}
+                        appliedFilters={appliedFilters}
+                    />
+                )}
+
+                {!loading && report && !isRange && (
+                    <BudgetSummary
+                        report={report}
+                        categories={categories}
+                        currencies={currencies}
+                        dbApi={dbApi}
+                        onChanged={onChanged}
+                    />
                 )}
             </CardContent>
+
+            <EditCostDialog
+                cost={editing}
+                dbApi={dbApi}
+                currencies={currencies}
+                categories={categories}
+                tagOptions={tagOptions}
+                accounts={accounts}
+                onClose={() => setEditing(null)}
+                onSaved={onChanged}
+            />
+
+            <ReceiptViewer
+                cost={report?.costs.find(c => c.id === viewingId) || null}
+                dbApi={dbApi}
+                onClose={() => setViewingId(null)}
+                onChanged={onChanged}
+            />
+
+            {report && !isRange && (
+                <StatementDialog
+                    open={statementOpen}
+                    onClose={() => setStatementOpen(false)}
+                    report={report}
+                    categoryColors={categoryColors}
+                    filtered={hasActiveFilters(appliedFilters)}
+                />
+            )}
+
+            {/* Deleting is irreversible, so we always ask first */}
+            <Dialog open={Boolean(deleting)} onClose={() => setDeleting(null)}>
+                <DialogTitle sx={{ fontWeight: 900 }}>Delete cost item?</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        {deleting && `${deleting.sum} ${deleting.currency} – ${deleting.description}`}
+                    </DialogContentText>
+                    {deleting?.recurringId && (
+                        <DialogContentText sx={{ mt: 1 }}>
+                            Only this occurrence is removed; the recurring schedule continues.
+                        </DialogContentText>
+                    )}
+                    {deleting?.attachments?.length > 0 && (
+                        <DialogContentText sx={{ mt: 1 }}>
+                            Its attached receipts are deleted too.
+                        </DialogContentText>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDeleting(null)}>Cancel</Button>
+                    <Button color="error" variant="contained" onClick={confirmDelete}>
+                        Delete
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Card>
     );
 }
@@ -1,31 +1,64 @@
 /**
  * SettingsDialog.jsx
  * ------------------
- * Simple dialog for configuring the exchange rates server URL.
+ * Simple dialog for configuring the exchange rates server URL (+ rates cache TTL), favourite currencies,
+ * payment accounts, plus JSON backup/restore.
  *
  * Notes (team):
- * - This component handles ONLY UI + localStorage interaction.
+ * - The rates part handles ONLY UI + localStorage interaction.
  * - The actual usage of the URL happens inside idb.js (SRP).
  * - If the user clears the URL, idb.js falls back to its default URL.
+ * - Favourites are picked from the currencies the rates server offers (App.jsx lists them first everywhere).
+ * - Backup/restore go through dbApi.exportAll/importAll; this component only moves files around.
+ *   Receipts can be left out of a backup (they can make the file large).
+ * - Accounts are edited in AccountsSettings, which saves each change immediately.
  */
 
 import React, { useEffect, useState } from "react";
 import {
+    Alert,
+    Box,
     Button,
+    Checkbox,
     Dialog,
     DialogActions,
     DialogContent,
     DialogTitle,
+    Divider,
+    FormControlLabel,
+    MenuItem,
+    Radio,
+    RadioGroup,
     TextField,
     Typography
 } from "@mui/material";
+import AccountsSettings from "./AccountsSettings";
+import { downloadText } from "../lib/csv";
+import { toDateKey } from "../lib/dates";
+import { getFavoriteCurrencies, setFavoriteCurrencies } from "../lib/currencies";
 
 // Just a visual hint for the user; not enforced programmatically.
 const DEFAULT_HINT = "https://your-rates-service.onrender.com/rates";
 
-export default function SettingsDialog({ open, onClose }) {
+export default function SettingsDialog({
+    open,
+    onClose,
+    dbApi,
+    currencies,
+    accounts,
+    onAccountsChanged,
+    onSaved,
+    onRestored
+}) {
     // Local state mirrors what is currently stored in localStorage.
     const [url, setUrl] = useState("");
+    const [ttl, setTtl] = useState("");
+    const [favorites, setFavorites] = useState([]);
+
+    // Backup section state
+    const [restoreMode, setRestoreMode] = useState("merge");
+    const [includeReceipts, setIncludeReceipts] = useState(true);
+    const [backupStatus, setBackupStatus] = useState({ type: "", msg: "" });
 
     useEffect(() => {
         // When dialog opens, sync state with localStorage.
@@ -34,12 +67,26 @@ export default function SettingsDialog({ open, onClose }) {
 
         const existing = localStorage.getItem("cm_rates_url") || "";
         setUrl(existing);
+        setTtl(localStorage.getItem("cm_rates_ttl_minutes") || "");
+        setFavorites(getFavoriteCurrencies());
+        setBackupStatus({ type: "", msg: "" });
     }, [open]);
 
     function save() {
         // Requirement (6): store the rates URL so it can be used by idb.js.
         // We keep it as a plain string; validation is intentionally minimal.
         localStorage.setItem("cm_rates_url", url.trim());
+
+        // Empty / invalid TTL = idb.js default (60 minutes)
+        const minutes = Number(ttl);
+        if (ttl.trim() !== "" && Number.isFinite(minutes) && minutes >= 0) {
+            localStorage.setItem("cm_rates_ttl_minutes", String(minutes));
+        } else {
+            localStorage.removeItem("cm_rates_ttl_minutes");
+        }
+
+        setFavoriteCurrencies(favorites);
+        onSaved?.();
         onClose();
     }
 
@@ -47,7 +94,62 @@ export default function SettingsDialog({ open, onClose }) {
         // Reset to default behavior:
         // removing the key makes idb.js fall back to its DEFAULT_RATES_URL.
         localStorage.removeItem("cm_rates_url");
+        localStorage.removeItem("cm_rates_ttl_minutes");
         setUrl("");
+        setTtl("");
+    }
+
+    async function downloadBackup() {
+        setBackupStatus({ type: "", msg: "" });
+        try {
+            const snapshot = await dbApi.exportAll({ attachments: includeReceipts });
+            downloadText(
+                `cost-manager-backup-${toDateKey(new Date())}.json`,
+                JSON.stringify(snapshot, null, 2),
+                "application/json"
+            );
+        } catch (e) {
+            setBackupStatus({ type: "error", msg: e?.message || "Backup failed." });
+        }
+    }
+
+    async function restoreBackup(e) {
+        const file = e.target.files?.[0];
+        e.target.value = ""; // allow picking the same file again
+        if (!file) return;
+
+        setBackupStatus({ type: "", msg: "" });
+
+        // Replace wipes the current data, so it needs an explicit confirmation
+        if (restoreMode === "replace" &&
+            !window.confirm("Replace ALL current data with this backup? This cannot be undone.")) {
+            return;
+        }
+
+        try {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(await file.text());
+            } catch {
+                throw new Error("The file is not valid JSON.");
+            }
+
+            const summary = await dbApi.importAll(snapshot, { mode: restoreMode });
+            const added = Object.values(summary).reduce((acc, s) => acc + s.added, 0);
+            const skipped = Object.values(summary).reduce((acc, s) => acc + s.skipped, 0);
+
+            // Settings may have been restored as well
+            setUrl(localStorage.getItem("cm_rates_url") || "");
+            setTtl(localStorage.getItem("cm_rates_ttl_minutes") || "");
+            setFavorites(getFavoriteCurrencies());
+            setBackupStatus({
+                type: "success",
+                msg: `Restored ${added} records` + (skipped ? ` (${skipped} already present, skipped).` : ".")
+            });
+            onRestored?.();
+        } catch (err) {
+            setBackupStatus({ type: "error", msg: err?.message || "Restore failed." });
+        }
     }
 
     return (
@@ -61,7 +163,8 @@ export default function SettingsDialog({ open, onClose }) {
                     {/* We explicitly describe the expected JSON structure
               to match the assignment specification. */}
                     Exchange rates URL (must return JSON like:
-                    {"{USD:1, GBP:0.6, EURO:0.7, ILS:3.4}"}).
+                    {"{USD:1, GBP:0.6, EUR:0.7, ILS:3.4}"}).
+                    The currencies you can pick are the ones this JSON contains.
                 </Typography>
 
                 <TextField
@@ -72,6 +175,95 @@ export default function SettingsDialog({ open, onClose }) {
                     // Placeholder is only a hint; actual default handling is in idb.js
                     placeholder={DEFAULT_HINT}
                 />
+
+                {/* Rates are cached; within this time no request is made, and the cache is the offline fallback */}
+                <TextField
+                    label="Refresh rates after (minutes)"
+                    value={ttl}
+                    onChange={(e) => setTtl(e.target.value)}
+                    type="number"
+                    inputProps={{ min: 0 }}
+                    placeholder="60"
+                    helperText="0 = fetch on every report. The last good rates are used when offline."
+                    fullWidth
+                    sx={{ mt: 2 }}
+                />
+
+                {/* Order of selection = order in the pickers; the rest follows alphabetically */}
+                <TextField
+                    label="Favourite currencies"
+                    value={favorites}
+                    onChange={(e) => setFavorites(e.target.value)}
+                    select
+                    SelectProps={{ multiple: true, renderValue: (selected) => selected.join(", ") }}
+                    helperText="Shown first in every currency list."
+                    fullWidth
+                    sx={{ mt: 2 }}
+                >
+                    {currencies.map((c) => (
+                        <MenuItem key={c} value={c}>
+                            {c}
+                        </MenuItem>
+                    ))}
+                </TextField>
+
+                <Divider sx={{ my: 3 }} />
+
+                <AccountsSettings
+                    dbApi={dbApi}
+                    accounts={accounts}
+                    currencies={currencies}
+                    onChanged={onAccountsChanged}
+                />
+
+                <Divider sx={{ my: 3 }} />
+
+                {/* Backup: all data lives only in this browser, so offer a way to move/keep it */}
+                <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                    Backup
+                </Typography>
+
+                <Typography variant="body2" sx={{ mb: 1, opacity: 0.8 }}>
+                    Download all cost items, income, categories, accounts, budgets, recurring costs, receipts and
+                    settings as one JSON file, or restore such a file. Replacing with a backup made without receipts
+                    also removes the current receipts.
+                </Typography>
+
+                {backupStatus.msg && (
+                    <Alert severity={backupStatus.type} sx={{ mb: 1 }}>
+                        {backupStatus.msg}
+                    </Alert>
+                )}
+
+                <RadioGroup
+                    row
+                    value={restoreMode}
+                    onChange={(e) => setRestoreMode(e.target.value)}
+                >
+                    <FormControlLabel value="merge" control={<Radio size="small" />} label="Merge with current data" />
+                    <FormControlLabel value="replace" control={<Radio size="small" />} label="Replace current data" />
+                </RadioGroup>
+
+                <FormControlLabel
+                    control={
+                        <Checkbox
+                            size="small"
+                            checked={includeReceipts}
+                            onChange={(e) => setIncludeReceipts(e.target.checked)}
+                        />
+                    }
+                    label="Include receipts in the download"
+                />
+
+                <Box sx={{ display: "flex", gap: 1, mt: 1 }}>
+                    <Button variant="outlined" onClick={downloadBackup} disabled={!dbApi}>
+                        Download backup
+                    </Button>
+                    <Button variant="outlined" component="label" disabled={!dbApi}>
+                        Restore from file
+                        <input type="file" accept="application/json,.json" hidden onChange={restoreBackup} />
+                    </Button>
+                </Box>
             </DialogContent>
 
             <DialogActions>
@@ -0,0 +1,83 @@
+/**
+ * SplitEditor.jsx
+ * ---------------
+ * Category portions of a split expense (e.g. a supermarket receipt: part Food, part Shopping),
+ * used by the add/edit cost forms instead of the single Category select.
+ *
+ * Notes (team):
+ * - Portions are in the item's own currency and must add up to its sum; the remaining amount is shown
+ *   while editing, and idb.js validates again on save (lib/splits.js).
+ * - Portion sums are kept as the raw input strings, like the forms' own Sum field.
+ */
+
+import React from "react";
+import { Box, Button, IconButton, MenuItem, TextField, Typography } from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/Delete";
+
+export default function SplitEditor({ sum, splits, setSplits, categories, disabled }) {
+    const update = (index, patch) => setSplits(splits.map((s, i) => (i === index ? { ...s, ...patch } : s)));
+
+    // In cents, so the hint never shows floating point noise
+    const allocated = splits.reduce((acc, s) => acc + Math.round((Number(s.sum) || 0) * 100), 0);
+    const remaining = (Math.round((Number(sum) || 0) * 100) - allocated) / 100;
+
+    // A category already used by another portion can't be picked twice
+    const optionsFor = (index) => categories.filter(c => !splits.some((s, i) => i !== index && s.category === c));
+
+    return (
+        <Box sx={{ display: "grid", gap: 1 }}>
+            {splits.map((s, i) => (
+                <Box key={i} sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                    <TextField
+                        label="Category"
+                        value={s.category}
+                        onChange={(e) => update(i, { category: e.target.value })}
+                        select
+                        size="small"
+                        disabled={disabled}
+                        sx={{ flexGrow: 1 }}
+                    >
+                        {optionsFor(i).map((c) => (
+                            <MenuItem key={c} value={c}>
+                                {c}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField
+                        label="Amount"
+                        value={s.sum}
+                        onChange={(e) => update(i, { sum: e.target.value })}
+                        type="number"
+                        inputProps={{ step: "0.01" }}
+                        size="small"
+                        disabled={disabled}
+                        sx={{ width: 130 }}
+                    />
+                    <IconButton
+                        size="small"
+                        aria-label="remove portion"
+                        onClick={() => setSplits(splits.filter((x, j) => j !== i))}
+                        disabled={disabled || splits.length <= 2}
+                    >
+                        <DeleteIcon fontSize="small" />
+                    </IconButton>
+                </Box>
+            ))}
+
+            <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                <Button
+                    size="small"
+                    startIcon={<AddIcon />}
+                    onClick={() => setSplits([...splits, { category: optionsFor(-1)[0] || "", sum: "" }])}
+                    disabled={disabled || optionsFor(-1).length === 0}
+                >
+                    Add portion
+                </Button>
+                <Typography variant="caption" color={remaining === 0 ? "text.secondary" : "error"}>
+                    {remaining === 0 ? "Portions add up to the sum" : `Remaining: ${remaining}`}
+                </Typography>
+            </Box>
+        </Box>
+    );
+}
@@ -0,0 +1,212 @@
+/**
+ * StatementDialog.jsx
+ * -------------------
+ * Printable monthly expense statement (Report tab → "Export statement"): header, period and currency,
+ * every item with its original and converted amount, category subtotals, the category pie and the
+ * exchange rates used. "Print / Save as PDF" uses the browser's print dialog, so a PDF is made entirely
+ * client-side (pick "Save as PDF" as the printer).
+ *
+ * Notes (team):
+ * - Everything comes from the report App.jsx already built (same currency, rate mode and filters as the
+ *   Report tab); rates come from report.ratesUsed / report.ratesInfo (idb.js).
+ * - Print CSS (GlobalStyles below, only mounted while the dialog is open) hides the app behind the dialog,
+ *   lets the dialog flow over several pages and hides the dialog's own buttons.
+ */
+
+import React, { useMemo } from "react";
+import {
+    Box,
+    Button,
+    Dialog,
+    DialogContent,
+    GlobalStyles,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Typography
+} from "@mui/material";
+import PrintIcon from "@mui/icons-material/Print";
+import CategoryPie from "./CategoryPie";
+
+// Same fallback as the charts for categories without a stored color
+const FALLBACK_COLOR = "#607D8B";
+
+const RATE_MODE_LABELS = {
+    historical: "at the rate on each expense's day",
+    current: "at the current rate"
+};
+
+const PRINT_STYLES = {
+    "@media print": {
+        "#root": { display: "none !important" },
+        ".MuiBackdrop-root, .statement-no-print": { display: "none !important" },
+        // The dialog is fixed + scrollable on screen; printed, it has to flow like a normal page
+        ".MuiDialog-root, .MuiDialog-container, .MuiDialog-paper, .MuiDialogContent-root": {
+            position: "static !important",
+            display: "block !important",
+            overflow: "visible !important",
+            height: "auto !important",
+            maxHeight: "none !important",
+            boxShadow: "none !important"
+        },
+        // Rows and the pie are never cut in half between two pages
+        "tr, .recharts-wrapper": { breakInside: "avoid" }
+    }
+};
+
+const headCell = { fontWeight: 900 };
+
+function Section({ title, children }) {
+    return (
+        <Box sx={{ mt: 3 }}>
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>{title}</Typography>
+            {children}
+        </Box>
+    );
+}
+
+export default function StatementDialog({ open, onClose, report, categoryColors, filtered }) {
+    const currency = report.total.currency;
+    const period = new Date(report.year, report.month - 1, 1)
+        .toLocaleString(undefined, { month: "long", year: "numeric" });
+    const asOf = report.ratesInfo?.fetchedAt ? new Date(report.ratesInfo.fetchedAt).toLocaleString() : null;
+
+    // Oldest first, so the statement reads like a ledger
+    const rows = useMemo(() => [...report.costs].sort((a, b) => a.day - b.day), [report]);
+    const categories = useMemo(() => report.categories.filter(c => c.total > 0), [report]);
+    const pieData = useMemo(() => categories.map(c => ({
+        name: c.category || "Other",
+        value: c.total,
+        color: categoryColors[c.category] || FALLBACK_COLOR
+    })), [categories, categoryColors]);
+
+    return (
+        <Dialog open={open} onClose={onClose} fullScreen>
+            <GlobalStyles styles={PRINT_STYLES} />
+
+            <DialogContent sx={{ maxWidth: 900, width: "100%", mx: "auto" }}>
+                <Box
+                    className="statement-no-print"
+                    sx={{ display: "flex", gap: 1, justifyContent: "flex-end", mb: 2 }}
+                >
+                    <Button onClick={onClose}>Close</Button>
+                    <Button variant="contained" startIcon={<PrintIcon />} onClick={() => window.print()}>
+                        Print / Save as PDF
+                    </Button>
+                </Box>
+
+                <Typography variant="h5" sx={{ fontWeight: 900 }}>
+                    Expense statement
+                </Typography>
+                <Typography>
+                    Period: {period}
+                </Typography>
+                <Typography>
+                    Currency: {currency}, converted {RATE_MODE_LABELS[report.rateMode]}
+                </Typography>
+                <Typography variant="body2" sx={{ opacity: 0.7 }}>
+                    Generated {new Date().toLocaleString()}
+                    {filtered && " (filtered: only the items matching the Report tab's filters)"}
+                </Typography>
+
+                <Section title={`Items (${rows.length})`}>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell sx={headCell}>Date</TableCell>
+                                <TableCell sx={headCell}>Description</TableCell>
+                                <TableCell sx={headCell}>Category</TableCell>
+                                <TableCell sx={headCell} align="right">Original</TableCell>
+                                <TableCell sx={headCell} align="right">In {currency}</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {rows.map(c => (
+                                <TableRow key={c.id}>
+                                    <TableCell sx={{ whiteSpace: "nowrap" }}>{c.date}</TableCell>
+                                    <TableCell>{c.description}</TableCell>
+                                    <TableCell>
+                                        {c.splits
+                                            ? c.splits.map(p => `${p.category} ${p.sum}`).join(", ")
+                                            : c.category}
+                                    </TableCell>
+                                    <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                                        {c.sum} {c.currency}
+                                    </TableCell>
+                                    <TableCell align="right">
+                                        {c.conversionError ? "No rate" : c.converted}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            <TableRow>
+                                <TableCell colSpan={4} sx={headCell}>Total</TableCell>
+                                <TableCell align="right" sx={headCell}>{report.total.total}</TableCell>
+                            </TableRow>
+                        </TableBody>
+                    </Table>
+
+                    {report.unconverted.count > 0 && (
+                        <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+                            Items marked "No rate" are not included in the total:{" "}
+                            {report.unconverted.reasons.join("; ")}.
+                        </Typography>
+                    )}
+                </Section>
+
+                <Section title={`Subtotals by category (${currency})`}>
+                    <Table size="small">
+                        <TableBody>
+                            {categories.map(c => (
+                                <TableRow key={c.category}>
+                                    <TableCell>{c.category}</TableCell>
+                                    <TableCell align="right">{c.total}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </Section>
+
+                {pieData.length > 0 && (
+                    <Section title={`Distribution by category (${currency})`}>
+                        <CategoryPie data={pieData} animate={false} />
+                    </Section>
+                )}
+
+                <Section title="Exchange rates used">
+                    {report.ratesUsed.length === 0 ? (
+                        <Typography variant="body2">
+                            None: every converted item is already in {currency}.
+                        </Typography>
+                    ) : (
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell sx={headCell}>Currency</TableCell>
+                                    <TableCell sx={headCell} align="right">1 unit in {currency}</TableCell>
+                                    <TableCell sx={headCell}>Rates as of</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {report.ratesUsed.map(r => (
+                                    <TableRow key={`${r.currency}|${r.date}`}>
+                                        <TableCell>{r.currency}</TableCell>
+                                        <TableCell align="right">{r.rate}</TableCell>
+                                        {/* Historical rows use the rates of the item's own day */}
+                                        <TableCell>{r.date || asOf || "-"}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                    {report.ratesInfo?.stale && (
+                        <Typography variant="body2" sx={{ mt: 1 }}>
+                            The rates server was unreachable; cached rates as of {asOf} were used.
+                        </Typography>
+                    )}
+                </Section>
+            </DialogContent>
+        </Dialog>
+    );
+}
@@ -0,0 +1,33 @@
+/**
+ * TagsInput.jsx
+ * -------------
+ * Free-form tag entry ("vacation-2026", "work-reimbursable") for the add/edit cost forms.
+ * Suggests the tags already in use; any new text becomes a tag on Enter.
+ *
+ * Notes (team):
+ * - Tags are normalized (trimmed, lower-case, unique) here for display and again by idb.js on save.
+ */
+
+import React from "react";
+import { Autocomplete, Chip, TextField } from "@mui/material";
+import { normalizeTags } from "../lib/splits";
+
+export default function TagsInput({ value, onChange, options, disabled }) {
+    return (
+        <Autocomplete
+            multiple
+            freeSolo
+            options={options}
+            value={value}
+            onChange={(e, next) => onChange(normalizeTags(next))}
+            disabled={disabled}
+            renderTags={(tags, getTagProps) => tags.map((tag, index) => {
+                const { key, ...tagProps } = getTagProps({ index });
+                return <Chip key={key} label={tag} size="small" {...tagProps} />;
+            })}
+            renderInput={(params) => (
+                <TextField {...params} label="Tags" placeholder="Type and press Enter" />
+            )}
+        />
+    );
+}
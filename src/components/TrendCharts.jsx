@@ -0,0 +1,319 @@
+/**
+ * TrendCharts.jsx
+ * ---------------
+ * Comparison charts for the Charts tab ("Trends" view):
+ * - year over year: the monthly totals of two or more years on one axis,
+ * - cumulative spend within the selected month against the previous month,
+ * - per-category trend lines across a span of months ending at the selected month.
+ *
+ * Notes (team):
+ * - Each chart is ONE dbApi.getSummary(...) call over its whole span (aggregated by idb.js, converted to the
+ *   selected currency with the selected rate mode), never a report per month.
+ * - The Report tab's filters apply here too (passed through like in Charts).
+ * - `reloadKey` comes from Charts, which already listens for changes made in other tabs.
+ * - The pickers stay mounted while a chart reloads (a multi-select menu stays open between picks).
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { Alert, Box, CircularProgress, Divider, MenuItem, TextField, Typography } from "@mui/material";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { daysInMonth } from "../lib/dates";
+
+// Same fallback as the other charts for categories without a stored color
+const FALLBACK_COLOR = "#607D8B";
+const YEAR_COLORS = ["#3F51B5", "#FF9800", "#009688", "#E91E63", "#795548"];
+const SPANS = [6, 12, 24];
+// Categories drawn by default (the biggest ones of the span), so the chart stays readable
+const DEFAULT_TREND_CATEGORIES = 5;
+
+const monthLabel = (y, m) => `${y}-${String(m).padStart(2, "0")}`;
+
+// Chart area: a spinner while (re)loading, so the pickers above it stay mounted (an open menu stays open)
+function ChartBox({ loading, children }) {
+    return (
+        <Box sx={{ height: 320, display: "flex", alignItems: "center", justifyContent: "center" }}>
+            {loading ? <CircularProgress /> : children}
+        </Box>
+    );
+}
+
+// { year, month } `n` months before the given month (n may be negative)
+function shiftMonth(year, month, n) {
+    const d = new Date(year, month - 1 - n, 1);
+    return { year: d.getFullYear(), month: d.getMonth() + 1 };
+}
+
+export default function TrendCharts({
+    dbApi,
+    year,
+    month,
+    currency,
+    rateMode,
+    appliedFilters,
+    categoryColors,
+    reloadKey
+}) {
+    const [years, setYears] = useState([year - 1, year]);
+    const [span, setSpan] = useState(12);
+    // [] = the biggest categories of the span
+    const [trendCategories, setTrendCategories] = useState([]);
+
+    const [summaries, setSummaries] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+
+    // The selected year and the four before it, plus any year picked earlier (the selected year may have moved)
+    const yearOptions = Array.from(new Set([...Array.from({ length: 5 }, (_, i) => year - 4 + i), ...years]))
+        .sort((a, b) => a - b);
+    const previous = useMemo(() => shiftMonth(year, month, 1), [year, month]);
+    const spanStart = useMemo(() => shiftMonth(year, month, span - 1), [year, month, span]);
+
+    useEffect(() => {
+        if (!dbApi || years.length === 0) return undefined;
+
+        // Three summaries per load; if the year or span changes before they are back, that load is dropped
+        let stale = false;
+        (async () => {
+            setLoading(true);
+            setError("");
+
+            const options = { rateMode, filters: appliedFilters };
+            try {
+                const [byYear, byDay, byCategory] = await Promise.all([
+                    dbApi.getSummary(
+                        { from: { year: Math.min(...years), month: 1 }, to: { year: Math.max(...years), month: 12 } },
+                        currency,
+                        { ...options, groupBy: ["month"] }
+                    ),
+                    dbApi.getSummary(
+                        { from: previous, to: { year, month } },
+                        currency,
+                        { ...options, groupBy: ["day"] }
+                    ),
+                    dbApi.getSummary(
+                        { from: spanStart, to: { year, month } },
+                        currency,
+                        { ...options, groupBy: ["month", "category"] }
+                    )
+                ]);
+                if (!stale) setSummaries({ byYear, byDay, byCategory });
+            } catch (e) {
+                if (!stale) setError(e?.message || "Failed to build trend charts");
+            } finally {
+                if (!stale) setLoading(false);
+            }
+        })();
+
+        return () => {
+            stale = true;
+        };
+    }, [dbApi, year, month, previous, spanStart, years, currency, rateMode, appliedFilters, reloadKey]);
+
+    // Year over year: one row per month, one key per selected year
+    const yearData = useMemo(() => {
+        if (!summaries) return [];
+
+        return Array.from({ length: 12 }, (_, i) => {
+            const row = { month: i + 1 };
+            years.forEach(y => {
+                row[y] = summaries.byYear.groups.find(g => g.year === y && g.month === i + 1)?.total || 0;
+            });
+            return row;
+        });
+    }, [summaries, years]);
+
+    // Running totals by day of month; the selected month stops at today if it is the current month
+    const cumulativeData = useMemo(() => {
+        if (!summaries) return [];
+
+        const today = new Date();
+        const isCurrentMonth = today.getFullYear() === year && today.getMonth() + 1 === month;
+        const lastDay = isCurrentMonth ? today.getDate() : daysInMonth(year, month);
+        const previousDays = daysInMonth(previous.year, previous.month);
+
+        const running = (y, m) => {
+            let sum = 0;
+            return (day) => {
+                sum += summaries.byDay.groups.find(g => g.year === y && g.month === m && g.day === day)?.total || 0;
+                return Math.round(sum * 100) / 100;
+            };
+        };
+        const current = running(year, month);
+        const before = running(previous.year, previous.month);
+
+        return Array.from({ length: Math.max(daysInMonth(year, month), previousDays) }, (_, i) => ({
+            day: i + 1,
+            current: i < lastDay ? current(i + 1) : null,
+            previous: i < previousDays ? before(i + 1) : null
+        }));
+    }, [summaries, year, month, previous]);
+
+    // Categories of the span, biggest first (options of the category picker)
+    const spanCategories = useMemo(() => {
+        if (!summaries) return [];
+
+        const totals = new Map();
+        summaries.byCategory.groups.forEach(g => totals.set(g.category, (totals.get(g.category) || 0) + g.total));
+        return Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a));
+    }, [summaries]);
+
+    const shownCategories = useMemo(
+        () => (trendCategories.length > 0 ? trendCategories : spanCategories.slice(0, DEFAULT_TREND_CATEGORIES)),
+        [trendCategories, spanCategories]
+    );
+
+    const categoryData = useMemo(() => {
+        if (!summaries) return [];
+
+        return Array.from({ length: span }, (_, i) => {
+            const { year: y, month: m } = shiftMonth(spanStart.year, spanStart.month, -i);
+            const row = { month: monthLabel(y, m) };
+            shownCategories.forEach(c => {
+                const group = summaries.byCategory.groups.find(g => g.year === y && g.month === m && g.category === c);
+                row[c] = group?.total || 0;
+            });
+            return row;
+        });
+    }, [summaries, span, spanStart, shownCategories]);
+
+    return (
+        <>
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {/* Controls stay mounted while loading; only the chart areas show the spinner */}
+            <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center", mb: 1 }}>
+                <Typography sx={{ fontWeight: 900, flexGrow: 1 }}>
+                    Year over year by month ({currency})
+                </Typography>
+                <TextField
+                    label="Years"
+                    select
+                    size="small"
+                    value={years}
+                    // At least one year stays selected
+                    onChange={(e) => {
+                        if (e.target.value.length > 0) setYears([...e.target.value].sort((a, b) => a - b));
+                    }}
+                    SelectProps={{ multiple: true, renderValue: (selected) => selected.join(", ") }}
+                    sx={{ minWidth: 160 }}
+                >
+                    {yearOptions.map(y => (
+                        <MenuItem key={y} value={y}>{y}</MenuItem>
+                    ))}
+                </TextField>
+            </Box>
+
+            <ChartBox loading={loading || (!summaries && !error)}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={yearData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="month" />
+                        <YAxis />
+                        <Tooltip />
+                        <Legend />
+                        {years.map((y, i) => (
+                            <Line
+                                key={y}
+                                dataKey={y}
+                                name={String(y)}
+                                stroke={YEAR_COLORS[i % YEAR_COLORS.length]}
+                                strokeWidth={2}
+                            />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </ChartBox>
+
+            <Divider sx={{ my: 3 }} />
+
+            <Typography sx={{ fontWeight: 900, mb: 1 }}>
+                Cumulative spend, {monthLabel(year, month)} vs.{" "}
+                {monthLabel(previous.year, previous.month)} ({currency})
+            </Typography>
+
+            <ChartBox loading={loading || (!summaries && !error)}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={cumulativeData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="day" />
+                        <YAxis />
+                        <Tooltip />
+                        <Legend />
+                        <Line
+                            dataKey="current"
+                            name={monthLabel(year, month)}
+                            stroke="#3F51B5"
+                            strokeWidth={2}
+                            dot={false}
+                        />
+                        <Line
+                            dataKey="previous"
+                            name={monthLabel(previous.year, previous.month)}
+                            stroke="#9E9E9E"
+                            strokeDasharray="6 3"
+                            dot={false}
+                        />
+                    </LineChart>
+                </ResponsiveContainer>
+            </ChartBox>
+
+            <Divider sx={{ my: 3 }} />
+
+            <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center", mb: 1 }}>
+                <Typography sx={{ fontWeight: 900, flexGrow: 1 }}>
+                    Category trends ({currency})
+                </Typography>
+                <TextField
+                    label="Months"
+                    select
+                    size="small"
+                    value={span}
+                    onChange={(e) => setSpan(e.target.value)}
+                >
+                    {SPANS.map(n => (
+                        <MenuItem key={n} value={n}>Last {n}</MenuItem>
+                    ))}
+                </TextField>
+                <TextField
+                    label="Categories"
+                    select
+                    size="small"
+                    value={trendCategories}
+                    onChange={(e) => setTrendCategories(e.target.value)}
+                    SelectProps={{
+                        multiple: true,
+                        displayEmpty: true,
+                        renderValue: (selected) => (selected.length ? selected.join(", ") : "Top categories")
+                    }}
+                    InputLabelProps={{ shrink: true }}
+                    sx={{ minWidth: 180 }}
+                >
+                    {spanCategories.map(c => (
+                        <MenuItem key={c} value={c}>{c}</MenuItem>
+                    ))}
+                </TextField>
+            </Box>
+
+            <ChartBox loading={loading || (!summaries && !error)}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={categoryData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="month" />
+                        <YAxis />
+                        <Tooltip />
+                        <Legend />
+                        {shownCategories.map(c => (
+                            <Line
+                                key={c}
+                                dataKey={c}
+                                name={c}
+                                stroke={categoryColors[c] || FALLBACK_COLOR}
+                                strokeWidth={2}
+                            />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </ChartBox>
+        </>
+    );
+}
@@ -0,0 +1,36 @@
+/**
+ * useForecast.js
+ * --------------
+ * React hook that loads the end-of-month forecast (dbApi.getForecast) for ForecastSummary and ForecastChart.
+ *
+ * Notes (team):
+ * - The projection is built by idb.js with the math of lib/forecast.js; this only keeps the latest result in state.
+ * - `reloadKey` is whatever the caller already rebuilds on (the report object, Charts' reload counter),
+ *   so the forecast follows edits made here and in other tabs.
+ */
+
+import { useEffect, useState } from "react";
+
+// { forecast, error } for (year, month); forecast is null while loading or when disabled (no dbApi / month)
+export default function useForecast(dbApi, year, month, currency, { rateMode, filters, reloadKey } = {}) {
+    const [forecast, setForecast] = useState(null);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        setForecast(null);
+        setError("");
+        if (!dbApi || !month) return undefined;
+
+        // Switching months quickly: the answer for a month no longer shown is dropped
+        let stale = false;
+        dbApi.getForecast(year, month, currency, { rateMode, filters })
+            .then(result => !stale && setForecast(result))
+            .catch(e => !stale && setError(e?.message || "Failed to build the forecast"));
+
+        return () => {
+            stale = true;
+        };
+    }, [dbApi, year, month, currency, rateMode, filters, reloadKey]);
+
+    return { forecast, error };
+}
@@ -0,0 +1,22 @@
+/**
+ * accounts.js
+ * -----------
+ * Payment accounts / wallets (cash, credit cards, bank accounts) that cost items are paid from.
+ *
+ * Team notes:
+ * - Records live in the `accounts` store (idb.js): { id, name, currency, type }. Items refer to them by
+ *   `accountId`; items without one are reported under "No account".
+ * - An account's currency is only the default for new items paid from it; items keep their own currency.
+ */
+
+// type -> label (the keys are what is stored)
+export const ACCOUNT_TYPES = {
+    cash: "Cash",
+    credit: "Credit card",
+    bank: "Bank account",
+    other: "Other"
+};
+
+// Filter / select value for items without an account (account ids are numbers, so it can't clash)
+export const NO_ACCOUNT = "none";
+export const NO_ACCOUNT_LABEL = "No account";
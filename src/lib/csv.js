@@ -0,0 +1,83 @@
+/**
+ * csv.js
+ * ------
+ * Minimal RFC 4180 CSV helpers (no dependency) for import/export of cost items.
+ *
+ * Team notes:
+ * - Fields are quoted only when needed (comma, quote, CR/LF), quotes are doubled.
+ * - The parser accepts both \n and \r\n line endings and quoted fields spanning lines.
+ * - Delimiter is "," by default; Excel in some locales writes ";" so it can be passed in.
+ */
+
+function escapeField(value) {
+    const s = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// rows: array of objects, columns: array of keys (also used as the header row)
+export function toCsv(rows, columns) {
+    const lines = [columns.map(escapeField).join(",")];
+    rows.forEach(row => {
+        lines.push(columns.map(c => escapeField(row[c])).join(","));
+    });
+    return lines.join("\r\n");
+}
+
+// Returns an array of rows, each an array of strings. Empty lines are dropped.
+export function parseCsv(text, delimiter = ",") {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    // Strip a UTF-8 BOM (Excel adds one)
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && input[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += ch;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+// Triggers a browser download of `text` as a file (client-side only, no server round-trip).
+export function downloadText(filename, text, type = "text/csv;charset=utf-8") {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
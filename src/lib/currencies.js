@@ -0,0 +1,56 @@
+/**
+ * currencies.js
+ * -------------
+ * Currency codes: the list comes from the rates server's JSON (its keys), not from a constant.
+ *
+ * Team notes:
+ * - Codes are ISO 4217 ("EUR"). Early versions of the rates JSON used "EURO"; any legacy code is
+ *   mapped to its ISO code when rates are read, and stored data is migrated once (idb.js, DB v6).
+ * - DEFAULT_CURRENCIES is only used until the first rates table was fetched (e.g. first start offline).
+ * - Favourite currencies (Settings) are listed first in every currency picker.
+ */
+
+export const DEFAULT_CURRENCIES = ["USD", "ILS", "GBP", "EUR"];
+
+// Legacy code -> ISO 4217 code
+const LEGACY_CODES = { EURO: "EUR" };
+
+export const FAVORITES_KEY = "cm_favorite_currencies";
+
+export function normalizeCurrencyCode(code) {
+    if (typeof code !== "string") return code;
+    const upper = code.trim().toUpperCase();
+    return LEGACY_CODES[upper] || upper;
+}
+
+// Rates JSON with ISO keys. An ISO key wins over its legacy alias if a payload has both.
+export function normalizeRates(rates) {
+    if (!rates || typeof rates !== "object") return rates;
+
+    const result = {};
+    Object.entries(rates).forEach(([code, value]) => {
+        const iso = normalizeCurrencyCode(code);
+        if (iso === code.toUpperCase() || !(iso in result)) result[iso] = value;
+    });
+    return result;
+}
+
+export function getFavoriteCurrencies() {
+    try {
+        const list = JSON.parse(localStorage.getItem(FAVORITES_KEY));
+        return Array.isArray(list) ? list.map(normalizeCurrencyCode) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function setFavoriteCurrencies(codes) {
+    if (codes.length === 0) localStorage.removeItem(FAVORITES_KEY);
+    else localStorage.setItem(FAVORITES_KEY, JSON.stringify(codes));
+}
+
+// Favourites first (in the order they were picked), then everything else alphabetically.
+export function orderCurrencies(codes, favorites) {
+    const favs = favorites.filter(c => codes.includes(c));
+    return [...favs, ...codes.filter(c => !favs.includes(c)).sort()];
+}
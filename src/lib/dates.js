@@ -0,0 +1,64 @@
+/**
+ * dates.js
+ * --------
+ * Small date helpers shared by the idb wrapper and the UI.
+ *
+ * Team notes:
+ * - Dates travel as "YYYY-MM-DD" strings (what <input type="date"> uses).
+ * - They are always read/written in LOCAL time. `new Date("YYYY-MM-DD")` and toISOString()
+ *   work in UTC and can shift the day by one, so we avoid them on purpose.
+ */
+
+// Date -> "YYYY-MM-DD" (local time)
+export function toDateKey(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+// "YYYY-MM-DD" -> Date at local midnight. Throws on malformed input.
+export function parseDateKey(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!m) throw new Error(`Invalid date: ${value}`);
+    return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+}
+
+// Number of days in a month (month is 1..12)
+export function daysInMonth(year, month) {
+    return new Date(year, month, 0).getDate();
+}
+
+/**
+ * Report periods (Report + Charts tabs).
+ * period: { type, quarter, fiscalStartMonth, from, to } where type is
+ * "month" | "quarter" | "fiscal" | "year" | "custom". `year`/`month` are the shared App selectors.
+ * Returns the inclusive range as { from, to } date keys.
+ */
+export function periodRange(period, year, month) {
+    switch (period.type) {
+        case "quarter": {
+            const first = (period.quarter - 1) * 3 + 1;
+            return {
+                from: toDateKey(new Date(year, first - 1, 1)),
+                to: toDateKey(new Date(year, first + 2, 0))
+            };
+        }
+        case "fiscal": {
+            // Fiscal year `year` starts on the 1st of fiscalStartMonth and lasts 12 months (e.g. Apr–Mar).
+            const start = period.fiscalStartMonth;
+            return {
+                from: toDateKey(new Date(year, start - 1, 1)),
+                to: toDateKey(new Date(year, start + 11, 0))
+            };
+        }
+        case "year":
+            return { from: `${year}-01-01`, to: `${year}-12-31` };
+        case "custom":
+            return { from: period.from, to: period.to };
+        default:
+            return {
+                from: toDateKey(new Date(year, month - 1, 1)),
+                to: toDateKey(new Date(year, month, 0))
+            };
+    }
+}
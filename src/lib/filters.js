@@ -0,0 +1,55 @@
+/**
+ * filters.js
+ * ----------
+ * Report filters shared by the Report and Charts tabs (state lives in App.jsx).
+ *
+ * Team notes:
+ * - Shape: { search, categories: [], currencies: [], tags: [], accounts: [], min, max }.
+ *   Empty values mean "no filter". `accounts` holds account ids, or NO_ACCOUNT for items without one.
+ * - min/max apply to the amount CONVERTED to the report currency, so one range works across currencies.
+ * - Applied inside idb.js after conversion, so report totals/charts reflect the active filters.
+ * - A split item matches a category filter when any of its portions does; the totals then only count
+ *   the matching portions (see idb.js). The search also looks at tags.
+ */
+
+import { itemCategories } from "./splits";
+import { NO_ACCOUNT } from "./accounts";
+
+export const EMPTY_FILTERS = { search: "", categories: [], currencies: [], tags: [], accounts: [], min: "", max: "" };
+
+function toBound(value) {
+    return value === "" || value === null || value === undefined ? null : Number(value);
+}
+
+export function hasActiveFilters(filters) {
+    if (!filters) return false;
+    return filters.search.trim() !== ""
+        || filters.categories.length > 0
+        || filters.currencies.length > 0
+        || filters.tags.length > 0
+        || filters.accounts.length > 0
+        || toBound(filters.min) !== null
+        || toBound(filters.max) !== null;
+}
+
+// `amount` is the item's sum converted to the report currency.
+export function matchesFilters(item, amount, filters) {
+    if (!hasActiveFilters(filters)) return true;
+
+    const search = filters.search.trim().toLowerCase();
+    const tags = item.tags || [];
+    if (search && !String(item.description || "").toLowerCase().includes(search) &&
+        !tags.some(t => t.includes(search))) return false;
+    if (filters.categories.length > 0 && !itemCategories(item).some(c => filters.categories.includes(c))) return false;
+    if (filters.currencies.length > 0 && !filters.currencies.includes(item.currency)) return false;
+    if (filters.tags.length > 0 && !tags.some(t => filters.tags.includes(t))) return false;
+    if (filters.accounts.length > 0 && !filters.accounts.includes(item.accountId ?? NO_ACCOUNT)) return false;
+
+    const min = toBound(filters.min);
+    const max = toBound(filters.max);
+    // Items without a converted amount (no rate) can't be inside an amount range
+    if ((min !== null || max !== null) && amount === null) return false;
+    if (min !== null && amount < min) return false;
+    if (max !== null && amount > max) return false;
+    return true;
+}
@@ -0,0 +1,86 @@
+/**
+ * forecast.js
+ * -----------
+ * Month-end forecast math: the projected total, its likely range and the cumulative curve of the Charts tab.
+ * Pure functions; idb.js reads and converts the items (getForecast) and hands the totals over to these.
+ *
+ * Team notes:
+ * - Every amount is already in the report currency. "Variable" spend = items not generated by a recurring
+ *   rule; recurring occurrences still due and items entered for later days are part of `known`.
+ * - A finished month (daysElapsed = daysInMonth) projects exactly its known total, with no band.
+ * - Results are not rounded except the curve points; idb.js rounds the totals with the rest of the forecast.
+ */
+
+// Half-width of the forecast band in standard deviations (~90% for a normal spread)
+export const FORECAST_BAND_Z = 1.64;
+
+// Standard deviation of a list of numbers (0 for fewer than two)
+function stdev(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+    return Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Projected month-end total with its likely range.
+ * - The variable spend is projected from its daily run rate so far, blended with the same month's variable
+ *   spend in past years (`pastTotals`): history weighs more early in the month, the run rate by its end.
+ * - The band is ±FORECAST_BAND_Z standard deviations, from the day-to-day spread so far (`dailyVariable`,
+ *   one total per elapsed day) and the spread between past years; it never drops below `known`.
+ * Returns { runRate, historicalAverage, projected, low, high }; historicalAverage is null without past years.
+ */
+export function projectMonthEnd({ daysInMonth, daysElapsed, known, variableSoFar, dailyVariable, pastTotals }) {
+    const remaining = daysInMonth - daysElapsed;
+    const runRate = daysElapsed > 0 ? variableSoFar / daysElapsed : 0;
+    const historicalAverage = pastTotals.length > 0
+        ? pastTotals.reduce((acc, v) => acc + v, 0) / pastTotals.length
+        : null;
+
+    // Weight of the run rate: the share of the month already seen (all of it without history)
+    const weight = historicalAverage === null ? 1 : daysElapsed / daysInMonth;
+    const byRunRate = variableSoFar + runRate * remaining;
+    const projectedVariable = historicalAverage === null
+        ? byRunRate
+        : Math.max(variableSoFar, weight * byRunRate + (1 - weight) * historicalAverage);
+    const projected = remaining === 0 ? known : known - variableSoFar + projectedVariable;
+
+    // Spread: independent days for the rest of the month + the spread between past years
+    const sigma = Math.sqrt(
+        (weight * stdev(dailyVariable) * Math.sqrt(remaining)) ** 2 + ((1 - weight) * stdev(pastTotals)) ** 2
+    );
+
+    return {
+        runRate,
+        historicalAverage,
+        projected,
+        low: remaining === 0 ? known : Math.max(known, projected - FORECAST_BAND_Z * sigma),
+        high: remaining === 0 ? known : projected + FORECAST_BAND_Z * sigma
+    };
+}
+
+/**
+ * Cumulative curve for the chart: [{ day, actual, projected, low, high }] for every day of the month.
+ * `actual` adds up `dailySpent` (one total per elapsed day) up to today; projected/low/high run in straight
+ * lines from `spent` today to the month-end values. Fields that don't apply to a day are null.
+ */
+export function forecastCurve({ daysInMonth, daysElapsed, dailySpent, spent, projected, low, high }) {
+    const remaining = daysInMonth - daysElapsed;
+    const cents = (n) => Math.round(n * 100) / 100;
+
+    let cumulative = 0;
+    return Array.from({ length: daysInMonth }, (_, i) => {
+        const day = i + 1;
+        const point = { day, actual: null, projected: null, low: null, high: null };
+        if (day <= daysElapsed) {
+            cumulative += dailySpent[i] || 0;
+            point.actual = cents(cumulative);
+        }
+        if (day >= daysElapsed && remaining > 0) {
+            const share = (day - daysElapsed) / remaining;
+            point.projected = cents(spent + (projected - spent) * share);
+            point.low = cents(spent + (low - spent) * share);
+            point.high = cents(spent + (high - spent) * share);
+        }
+        return point;
+    });
+}
@@ -5,10 +5,54 @@
  *
  * Team notes:
  * - This module is the ONLY place that touches IndexedDB directly (SRP).
- * - UI components should treat this like a small “data API”: open DB, addCost, getReport.
+ * - UI components should treat this like a small “data API”: open DB, addCost(s), updateCost, deleteCost, getReport.
  * - Currency conversion is applied at report-generation time (we keep original currencies in DB).
+ *   Supported currencies are the keys of the rates JSON (ISO codes, see lib/currencies.js). An item whose
+ *   currency has no rate is reported with a per-item `conversionError` and left out of the totals.
+ *   New items also keep a snapshot of the rates of their day, for "historical rate" reports.
+ * - The last good rates table is cached (localStorage, TTL from Settings) and used when offline.
+ * - Monthly budgets (per category) live in the `budgets` store and are compared in getReport.
+ * - Reports accept optional `filters` (see lib/filters.js); totals are computed from the matching items only.
+ * - Recurring rules live in their own store; due occurrences are copied into `costs` when the DB opens.
+ * - Payment accounts (cash, cards, bank) live in the `accounts` store; items refer to them by `accountId`
+ *   and reports add per-account subtotals.
+ * - Income (salary, refunds...) lives in its own `income` store, so expense totals and budgets never count it;
+ *   reports list it separately and add an income / expenses / net `balance`.
+ * - Categories (name + color) are user-managed in the `categories` store. Items keep the category NAME,
+ *   so renaming/merging rewrites the items, budgets and recurring rules that use it.
+ * - Items carry free-form `tags` (multiEntry index) and may be split across categories (lib/splits.js);
+ *   reports allocate a split item's amount to each of its categories.
+ * - Receipts (images/PDFs) are Blobs in the `attachments` store, linked by cost id. Report rows carry them,
+ *   deleting a cost deletes its receipts, and backups include them as data URLs (or leave them out on request).
+ * - getForecast projects a month's end total (run rate so far + same month in past years + known fixed items).
+ * - Every committed write is announced to the other open tabs (lib/sync.js) so they can refresh.
  */
 
+import { daysInMonth, parseDateKey, toDateKey } from "./dates";
+import { hasActiveFilters, matchesFilters } from "./filters";
+import { DEFAULT_CURRENCIES, FAVORITES_KEY, normalizeCurrencyCode, normalizeRates } from "./currencies";
+import { broadcastChange, monthKey } from "./sync";
+import { allocate, mainCategory, normalizeSplits, normalizeTags } from "./splits";
+import { ACCOUNT_TYPES, NO_ACCOUNT_LABEL } from "./accounts";
+import { forecastCurve, projectMonthEnd } from "./forecast";
+
+const RECURRING_FREQUENCIES = ["weekly", "monthly", "yearly"];
+
+// Forecasts compare the month with the same month of up to this many past years
+const FORECAST_HISTORY_YEARS = 3;
+
+// Seed list for a fresh database (colors match what Charts used before categories were editable).
+const DEFAULT_CATEGORIES = [
+    { name: "Food", color: "#4CAF50" },
+    { name: "Car", color: "#FF9800" },
+    { name: "Education", color: "#3F51B5" },
+    { name: "Bills", color: "#F44336" },
+    { name: "Shopping", color: "#9C27B0" },
+    { name: "Health", color: "#009688" },
+    { name: "Other", color: "#607D8B" }
+];
+const FALLBACK_CATEGORY_COLOR = "#607D8B";
+
 const DEFAULT_RATES_URL = "http://localhost:3000/rates"; // Fallback required by the updated doc: app must work even if user never sets a URL.
 let dbInstance = null; // We keep a single DB connection in-memory after opening once.
 
@@ -17,11 +61,109 @@ function getRatesUrl() {
     return localStorage.getItem("cm_rates_url") || DEFAULT_RATES_URL;
 }
 
+// A rates server that accepts the connection but never answers must not hang a save or a report:
+// after this long the request is aborted and treated like any other failed fetch (cache / no snapshot).
+const RATES_FETCH_TIMEOUT_MS = 8000;
+
 // Fetch exchange rates from server (JSON). The assignment expects CORS "*".
-async function fetchRates() {
-    const res = await fetch(getRatesUrl());
-    if (!res.ok) throw new Error("Failed to fetch rates");
-    return res.json();
+// With a date ("YYYY-MM-DD") we ask for the table that was in effect on that day (rates server history).
+async function fetchRates(date) {
+    let url = getRatesUrl();
+    if (date) url += `${url.includes("?") ? "&" : "?"}date=${encodeURIComponent(date)}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RATES_FETCH_TIMEOUT_MS);
+    try {
+        const res = await fetch(url, { signal: controller.signal });
+        if (!res.ok) throw new Error("Failed to fetch rates");
+        return normalizeRates(await res.json());
+    } catch (e) {
+        if (e?.name === "AbortError") throw new Error("The rates server did not answer in time");
+        throw e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Past rate tables never change, so dated lookups are cached for the lifetime of the page.
+// Keyed by URL too: the rates URL can change at any time (Settings here or in another tab).
+const datedRatesCache = new Map();
+
+function fetchRatesForDate(date) {
+    const key = `${getRatesUrl()}|${date}`;
+    if (!datedRatesCache.has(key)) {
+        const promise = fetchRates(date);
+        // Don't cache failures: the server may just be temporarily unreachable.
+        promise.catch(() => datedRatesCache.delete(key));
+        datedRatesCache.set(key, promise);
+    }
+    return datedRatesCache.get(key);
+}
+
+// Cost months ("YYYY-MM") touched by a write, without duplicates (see lib/sync.js)
+function monthsOf(items) {
+    return Array.from(new Set(items.map(item => monthKey(item.year, item.month))));
+}
+
+function hasRates(rates, ...codes) {
+    return Boolean(rates) && codes.every(code => Number.isFinite(rates[code]) && rates[code] > 0);
+}
+
+/**
+ * Current rates with an offline fallback.
+ * The last good table is kept in localStorage with its fetch time:
+ * - younger than the TTL (Settings, minutes) -> used as is, no request at all;
+ * - older -> refetched; if that fails, the old table is still used but flagged `stale`.
+ * Resolves with { rates, fetchedAt, stale } (rates = null if nothing was ever fetched).
+ */
+const RATES_CACHE_KEY = "cm_rates_cache";
+const RATES_TTL_KEY = "cm_rates_ttl_minutes";
+const DEFAULT_RATES_TTL_MINUTES = 60;
+
+function getRatesTtlMs() {
+    const raw = localStorage.getItem(RATES_TTL_KEY);
+    const minutes = raw === null || raw === "" ? DEFAULT_RATES_TTL_MINUTES : Number(raw);
+    return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_RATES_TTL_MINUTES) * 60 * 1000;
+}
+
+function readRatesCache() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(RATES_CACHE_KEY));
+        // A cache written before the ISO migration may still say "EURO"
+        return cached && { ...cached, rates: normalizeRates(cached.rates) };
+    } catch {
+        return null;
+    }
+}
+
+async function getCurrentRates() {
+    const url = getRatesUrl();
+    const cached = readRatesCache();
+
+    // A cache filled from another URL (user changed Settings) is only good as an offline fallback
+    if (cached && cached.url === url && Date.now() - cached.fetchedAt < getRatesTtlMs()) {
+        return { rates: cached.rates, fetchedAt: cached.fetchedAt, stale: false };
+    }
+
+    try {
+        const rates = await fetchRates();
+        const entry = { url, rates, fetchedAt: Date.now() };
+        localStorage.setItem(RATES_CACHE_KEY, JSON.stringify(entry));
+        return { rates, fetchedAt: entry.fetchedAt, stale: false };
+    } catch {
+        if (cached) return { rates: cached.rates, fetchedAt: cached.fetchedAt, stale: true };
+        return { rates: null, fetchedAt: null, stale: true };
+    }
+}
+
+/**
+ * Currencies the user can pick = the codes in the current rates table (sorted).
+ * Before any table was ever fetched (first start offline) we fall back to the original four.
+ */
+async function getCurrencies() {
+    const { rates } = await getCurrentRates();
+    const codes = rates ? Object.keys(rates).filter(code => hasRates(rates, code)) : [];
+    return codes.length > 0 ? codes.sort() : [...DEFAULT_CURRENCIES];
 }
 
 /**
@@ -35,89 +177,2200 @@ function convertAmount(amount, from, to, rates) {
     return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
 }
 
-function openCostsDB(name, version) {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(name, version);
+/**
+ * Schema migrations
+ * -----------------
+ * One entry per DB version, applied in order when the DB is opened with a higher version:
+ * - upgrade(db, tx): schema changes (stores/indexes). Steps check what exists, so a DB created by an
+ *   older wrapper build that already has a store doesn't fail the upgrade.
+ * - records: { storeName: record => record } data fixes. During an upgrade ONE cursor per store applies
+ *   every pending fix in version order (two cursors updating the same records in one transaction would
+ *   overwrite each other's changes). The same functions upgrade records restored from older backups.
+ * To change the schema: add an entry with the next version (and mirror it in vanilla-idb/idb.js).
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            if (db.objectStoreNames.contains("costs")) return;
+            const store = db.createObjectStore("costs", { keyPath: "id", autoIncrement: true });
 
-        request.onupgradeneeded = (e) => {
-            const db = e.target.result;
+            // Composite index to efficiently query by (year, month) for monthly reports.
+            // This is faster than scanning the whole store each time.
+            store.createIndex("yearMonth", ["year", "month"]);
+        }
+    },
+    {
+        // Recurring cost rules (rent, subscriptions, bills...).
+        version: 2,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains("recurring")) {
+                db.createObjectStore("recurring", { keyPath: "id", autoIncrement: true });
+            }
+        }
+    },
+    {
+        // Monthly budgets, one per category.
+        version: 3,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains("budgets")) {
+                db.createObjectStore("budgets", { keyPath: "category" });
+            }
+        }
+    },
+    {
+        // User-managed categories (+ an index on costs.category so renames don't scan everything).
+        // The store is seeded on open (see ensureCategories), not here, so a DB created by the
+        // vanilla wrapper gets seeded too.
+        version: 4,
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains("categories")) {
+                const store = db.createObjectStore("categories", { keyPath: "id", autoIncrement: true });
+                store.createIndex("name", "name", { unique: true });
+            }
 
-            // Create object store once (first run / version bump).
-            if (!db.objectStoreNames.contains("costs")) {
-                const store = db.createObjectStore("costs", { keyPath: "id", autoIncrement: true });
+            const costs = tx.objectStore("costs");
+            if (!costs.indexNames.contains("category")) costs.createIndex("category", "category");
+        }
+    },
+    {
+        // ISO date field ("YYYY-MM-DD") + index, for arbitrary date-range reports.
+        version: 5,
+        upgrade(db, tx) {
+            const costs = tx.objectStore("costs");
+            if (!costs.indexNames.contains("date")) costs.createIndex("date", "date");
+        },
+        records: {
+            costs: (c) => ({ ...c, date: itemDateKey(c) })
+        }
+    },
+    {
+        // ISO currency codes ("EURO" -> "EUR") in items, their rate snapshots, budgets and rules.
+        version: 6,
+        records: {
+            costs: (c) => ({
+                ...c,
+                currency: normalizeCurrencyCode(c.currency),
+                ...(c.rates ? { rates: normalizeRates(c.rates) } : {})
+            }),
+            budgets: (b) => ({ ...b, currency: normalizeCurrencyCode(b.currency) }),
+            recurring: (r) => ({ ...r, currency: normalizeCurrencyCode(r.currency) })
+        }
+    },
+    {
+        // `Date: { day }` (assignment shape) always mirrors `day`; rows that only had one of them get both.
+        version: 7,
+        records: {
+            costs: (c) => {
+                const day = Number.isInteger(c.day) ? c.day : Number(c.Date?.day);
+                if (!Number.isInteger(day)) return c;
+                return { ...c, day, Date: { ...c.Date, day } };
+            }
+        }
+    },
+    {
+        // Receipt attachments (Blobs), linked to their cost item by `costId`.
+        version: 8,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains("attachments")) {
+                const store = db.createObjectStore("attachments", { keyPath: "id", autoIncrement: true });
+                store.createIndex("costId", "costId");
+            }
+        }
+    },
+    {
+        // Free-form tags on cost items; multiEntry = one index entry per tag (lists + lookups by tag).
+        version: 9,
+        upgrade(db, tx) {
+            const costs = tx.objectStore("costs");
+            if (!costs.indexNames.contains("tags")) costs.createIndex("tags", "tags", { multiEntry: true });
+        },
+        records: {
+            costs: (c) => ({ ...c, tags: normalizeTags(c.tags) })
+        }
+    },
+    {
+        // Payment accounts / wallets (+ costs.accountId index for reconciling one account).
+        version: 10,
+        upgrade(db, tx) {
+            if (!db.objectStoreNames.contains("accounts")) {
+                const store = db.createObjectStore("accounts", { keyPath: "id", autoIncrement: true });
+                store.createIndex("name", "name", { unique: true });
+            }
 
-                // Composite index to efficiently query by (year, month) for monthly reports.
-                // This is faster than scanning the whole store each time.
+            const costs = tx.objectStore("costs");
+            if (!costs.indexNames.contains("accountId")) costs.createIndex("accountId", "accountId");
+        }
+    },
+    {
+        // Income entries, with the same month/date/account indexes as costs (+ `source` for the suggestions list).
+        version: 11,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains("income")) {
+                const store = db.createObjectStore("income", { keyPath: "id", autoIncrement: true });
                 store.createIndex("yearMonth", ["year", "month"]);
+                store.createIndex("date", "date");
+                store.createIndex("source", "source");
+                store.createIndex("accountId", "accountId");
+            }
+        }
+    }
+];
+
+// Highest version the migrations know about (App.jsx opens the DB with it).
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs the upgrade steps for (oldVersion, newVersion] inside the versionchange transaction.
+function runMigrations(db, tx, oldVersion, newVersion) {
+    const pending = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+    pending.forEach(m => m.upgrade?.(db, tx));
+
+    // A brand-new DB has no records to fix
+    if (oldVersion === 0) return;
+
+    const storeNames = new Set(pending.flatMap(m => Object.keys(m.records || {})));
+    storeNames.forEach(storeName => {
+        const fixes = pending.filter(m => m.records?.[storeName]).map(m => m.records[storeName]);
+
+        tx.objectStore(storeName).openCursor().onsuccess = (ev) => {
+            const cursor = ev.target.result;
+            if (!cursor) return;
+
+            cursor.update(fixes.reduce((record, fix) => fix(record), cursor.value));
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * Opens the DB, upgrading it to `version` if needed.
+ * options (all optional, for the UI):
+ * - onBlocked(): the upgrade waits because another tab still has the DB open with an older version;
+ *   it continues by itself once that tab closes (or reloads).
+ * - onVersionChange(): another tab wants to upgrade the DB; our connection is closed so it can,
+ *   and this tab has to reload to keep working.
+ */
+function openCostsDB(name, version, { onBlocked, onVersionChange } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        let upgradeError = null;
+
+        request.onupgradeneeded = (e) => {
+            const tx = e.target.transaction;
+            try {
+                runMigrations(e.target.result, tx, e.oldVersion, e.newVersion);
+            } catch (err) {
+                // Aborting keeps the DB at its old version with its data untouched
+                upgradeError = err;
+                tx.abort();
             }
         };
 
-        request.onsuccess = (e) => {
+        request.onblocked = () => onBlocked?.();
+
+        request.onsuccess = async (e) => {
             dbInstance = e.target.result;
 
+            // Another tab opened a newer version: step aside instead of blocking its upgrade
+            dbInstance.onversionchange = () => {
+                dbInstance.close();
+                onVersionChange?.();
+            };
+
+            try {
+                await ensureCategories();
+
+                // Catch up on any recurring occurrences that became due since the last visit.
+                await materializeRecurring();
+            } catch (err) {
+                reject(err);
+                return;
+            }
+
             // Expose only the required API to the React app.
             // (Vanilla tester uses the global version; this one is for imports.)
-            resolve({ addCost, getReport });
+            resolve({
+                addCost,
+                addCosts,
+                getCosts,
+                getTags,
+                updateCost,
+                deleteCost,
+                addAttachments,
+                getAttachments,
+                deleteAttachment,
+                getReport,
+                getSummary,
+                getYearReport,
+                getRangeReport,
+                getForecast,
+                getRecurring,
+                addRecurring,
+                updateRecurring,
+                deleteRecurring,
+                skipNextOccurrence,
+                getBudgets,
+                setBudget,
+                deleteBudget,
+                getBudgetStatus,
+                getCurrencies,
+                getCategories,
+                addCategory,
+                renameCategory,
+                mergeCategory,
+                setCategoryColor,
+                setCategoryArchived,
+                getAccounts,
+                addAccount,
+                updateAccount,
+                deleteAccount,
+                addIncome,
+                deleteIncome,
+                getIncomeSources,
+                exportAll,
+                importAll
+            });
         };
 
-        request.onerror = () => reject(request.error);
+        request.onerror = () => {
+            const cause = upgradeError || request.error;
+            reject(new Error(cause?.name === "VersionError"
+                ? "The saved data belongs to a newer version of Cost Manager. Reload the page to update."
+                : `Could not open the local database (upgrade to version ${version} failed): ${cause?.message}`));
+        };
     });
 }
 
-function addCost(cost) {
-    const now = new Date();
+/**
+ * Normalizes the optional `date` of a new cost item.
+ * Accepts a Date or a "YYYY-MM-DD" string (what <input type="date"> gives us).
+ */
+function toCostDate(value) {
+    if (value === undefined || value === null || value === "") return new Date();
+    if (typeof value === "string") return parseDateKey(value);
+
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw new Error("Invalid date");
+    return d;
+}
+
+// ISO date of a stored item (rows from before v5 only have year/month/day)
+function itemDateKey(c) {
+    return c.date || toDateKey(new Date(c.year, c.month - 1, c.day));
+}
+
+// Brings a record from a DB/backup of `fromVersion` to the current shape (same fixes as the upgrade).
+function migrateRecord(storeName, record, fromVersion = 0) {
+    return MIGRATIONS
+        .filter(m => m.version > fromVersion && m.records?.[storeName])
+        .reduce((r, m) => m.records[storeName](r), record);
+}
 
+/**
+ * Normalized tags, split portions and account of an item (throws on an invalid split).
+ * A split item is filed under its largest portion's category; an item that is no longer split loses `splits`.
+ * `accountId` null/"" = paid from no particular account (the field is left out).
+ */
+function normalizeItemFields(fields) {
+    const { splits, accountId, ...rest } = fields;
+    const portions = normalizeSplits(fields.sum, splits);
+    const item = { ...rest, tags: normalizeTags(fields.tags) };
+    if (accountId !== undefined && accountId !== null && accountId !== "") item.accountId = accountId;
+    return portions.length > 0 ? { ...item, category: mainCategory(portions), splits: portions } : item;
+}
+
+// Builds the stored shape of a cost item for the given date (shared by addCost + recurring rules).
+function buildCostItem(fields, when) {
     // We save the ORIGINAL currency as entered (requirement: keep original currencies in IndexedDB).
-    // We also store year/month/day to support indexing + reporting.
-    const item = {
-        ...cost,
-        year: now.getFullYear(),
-        month: now.getMonth() + 1,
-        day: now.getDate(),
+    // We also store year/month/day (monthly index) and the ISO date (date-range index) for reporting.
+    return {
+        ...normalizeItemFields(fields),
+        currency: normalizeCurrencyCode(fields.currency),
+        year: when.getFullYear(),
+        month: when.getMonth() + 1,
+        day: when.getDate(),
+        date: toDateKey(when),
 
         // Kept to match the assignment’s example structure (Date:{day:...}).
-        Date: { day: now.getDate() }
+        Date: { day: when.getDate() }
     };
+}
+
+async function addCost(cost) {
+    // Optional `date` lets the user backdate (or future-date) an item; default is "now".
+    // Optional `attachments` (Files/Blobs) are stored as receipts in the same transaction.
+    const { date, attachments = [], ...fields } = cost;
+    const when = toCostDate(date);
+    const item = buildCostItem(fields, when);
+    const files = Array.from(attachments);
+    files.forEach(validateAttachment);
+
+    // Snapshot the rates in effect on the item's day, so "historical rate" reports never move.
+    // Best effort: an item recorded offline is still saved, and is converted with dated/current rates later.
+    try {
+        item.rates = await fetchRatesForDate(toDateKey(when));
+    } catch {
+        // no snapshot
+    }
 
     return new Promise((resolve, reject) => {
-        const tx = dbInstance.transaction(["costs"], "readwrite");
+        const tx = dbInstance.transaction(["costs", "attachments"], "readwrite");
         const req = tx.objectStore("costs").add(item);
 
-        // Note: resolving on req.onsuccess is enough for this assignment’s workflow.
-        req.onsuccess = () => resolve(item);
+        req.onsuccess = () => {
+            const attachmentsStore = tx.objectStore("attachments");
+            files.forEach(file => attachmentsStore.add(buildAttachment(req.result, file)));
+        };
+
+        // Resolve once the receipts are stored too: a failed attachment rolls the whole item back.
+        tx.oncomplete = () => {
+            broadcastChange({ stores: ["costs", "attachments"], months: monthsOf([item]) });
+            resolve({ ...item, id: req.result });
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Saving the cost item was aborted"));
+    });
+}
+
+/**
+ * Batch insert (CSV import). Same contract as addCost for every item (optional `date`).
+ * All items are written in ONE transaction: either the whole batch is stored or nothing is.
+ * No rate snapshots here (a year of rows would mean hundreds of fetches); historical reports
+ * look the dated rates up on demand instead.
+ */
+function addCosts(costs) {
+    let items;
+    try {
+        items = costs.map(({ date, ...fields }) => buildCostItem(fields, toCostDate(date)));
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs"], "readwrite");
+        const store = tx.objectStore("costs");
+        const stored = [];
+
+        items.forEach(item => {
+            const req = store.add(item);
+            req.onsuccess = () => stored.push({ ...item, id: req.result });
+        });
+
+        tx.oncomplete = () => {
+            broadcastChange({ stores: ["costs"], months: monthsOf(stored) });
+            resolve(stored);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Import was aborted"));
+    });
+}
+
+/**
+ * Raw cost items (original currencies) for export.
+ * filter: { year, month } = one month, { year } = one year, {} = everything.
+ */
+function getCosts({ year, month } = {}) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs"], "readonly");
+        const store = tx.objectStore("costs");
+        let req;
+
+        if (year && month) {
+            req = store.index("yearMonth").getAll(IDBKeyRange.only([year, month]));
+        } else if (year) {
+            req = store.index("yearMonth").getAll(IDBKeyRange.bound([year, 1], [year, 12]));
+        } else {
+            req = store.getAll();
+        }
+
+        req.onsuccess = () => resolve(req.result);
         req.onerror = () => reject(req.error);
     });
 }
 
-function getReport(year, month, currency) {
+// Every tag in use, sorted (distinct keys of the multiEntry `tags` index, no item is loaded).
+function getTags() {
     return new Promise((resolve, reject) => {
         const tx = dbInstance.transaction(["costs"], "readonly");
-        const idx = tx.objectStore("costs").index("yearMonth");
+        const req = tx.objectStore("costs").index("tags").openKeyCursor(null, "nextunique");
+        const tags = [];
+
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
 
-        // Query only items in the requested (year, month).
-        const req = idx.getAll(IDBKeyRange.only([year, month]));
+            tags.push(cursor.key);
+            cursor.continue();
+        };
 
-        req.onsuccess = async () => {
-            // We fetch rates when building the report so display currency can change dynamically.
-            const rates = await fetchRates();
+        tx.oncomplete = () => resolve(tags);
+        tx.onerror = () => reject(tx.error);
+    });
+}
 
-            // Compute total in the selected currency, without changing what is stored in IndexedDB.
-            let total = 0;
-            req.result.forEach(c => {
-                total += convertAmount(c.sum, c.currency, currency, rates);
-            });
+function updateCost(id, patch) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs"], "readwrite");
+        const store = tx.objectStore("costs");
+        const getReq = store.get(id);
 
-            resolve({
-                year,
-                month,
-                costs: req.result, // Costs remain in original currencies (stored currency stays untouched).
-                total: { currency, total: Math.round(total * 100) / 100 }
+        getReq.onsuccess = () => {
+            const existing = getReq.result;
+            if (!existing) {
+                reject(new Error(`Cost item ${id} not found`));
+                return;
+            }
+
+            // The id is the store key, so a patch must never move the item to another key.
+            // Tags/splits are re-validated against the patched sum (a new sum needs new portions).
+            // year/month/day/Date are derived from `date` (as in addCost), so a patch moves an item with
+            // `date` only; a moved item's rate snapshot belongs to its old day and is dropped.
+            let item;
+            try {
+                const when = toCostDate(patch.date ?? itemDateKey(existing));
+                const { rates, ...undated } = existing;
+                const base = toDateKey(when) === itemDateKey(existing) ? existing : undated;
+                item = buildCostItem({ ...base, ...patch, id }, when);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            const putReq = store.put(item);
+
+            putReq.onsuccess = () => resolve(item);
+            putReq.onerror = () => reject(putReq.error);
+            // Both months: the item may have moved from one to the other
+            tx.oncomplete = () => broadcastChange({ stores: ["costs"], months: monthsOf([existing, item]) });
+        };
+
+        getReq.onerror = () => reject(getReq.error);
+    });
+}
+
+// Deletes a cost item together with its receipts (one transaction: never an orphaned attachment).
+function deleteCost(id) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs", "attachments"], "readwrite");
+        const store = tx.objectStore("costs");
+        // Read first (same transaction) so the other tabs learn which month lost an item
+        const getReq = store.get(id);
+        store.delete(id);
+
+        tx.objectStore("attachments").index("costId").openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+
+            tx.objectStore("attachments").delete(cursor.primaryKey);
+            cursor.continue();
+        };
+
+        tx.oncomplete = () => {
+            const existing = getReq.result;
+            if (existing) broadcastChange({ stores: ["costs", "attachments"], months: monthsOf([existing]) });
+            resolve(id);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Deleting the cost item was aborted"));
+    });
+}
+
+/**
+ * Attachments (receipts)
+ * ----------------------
+ * Record shape: { id, costId, name, type, size, addedAt, blob }
+ * - Images (any image/* type, e.g. camera photos) and PDFs, up to MAX_ATTACHMENT_BYTES each.
+ * - IndexedDB stores Blobs natively, so the file itself is kept as is (no base64 inside the DB).
+ */
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+function validateAttachment(file) {
+    if (!(file instanceof Blob)) throw new Error("Attachment must be a file.");
+
+    const name = file.name || "receipt";
+    if (!file.type.startsWith("image/") && file.type !== "application/pdf") {
+        throw new Error(`"${name}" is not an image or PDF.`);
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        throw new Error(`"${name}" is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`);
+    }
+}
+
+function buildAttachment(costId, file) {
+    return {
+        costId,
+        name: file.name || "receipt",
+        type: file.type,
+        size: file.size,
+        addedAt: new Date().toISOString(),
+        blob: file
+    };
+}
+
+// Attaches more receipts to an existing cost item. Resolves with the stored records.
+function addAttachments(costId, files) {
+    const list = Array.from(files);
+    try {
+        list.forEach(validateAttachment);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs", "attachments"], "readwrite");
+        const store = tx.objectStore("attachments");
+        const costReq = tx.objectStore("costs").get(costId);
+        const stored = [];
+
+        costReq.onsuccess = () => {
+            if (!costReq.result) {
+                tx.abort();
+                reject(new Error(`Cost item ${costId} not found`));
+                return;
+            }
+
+            list.forEach(file => {
+                const record = buildAttachment(costId, file);
+                const req = store.add(record);
+                req.onsuccess = () => stored.push({ ...record, id: req.result });
             });
         };
 
+        tx.oncomplete = () => {
+            broadcastChange({ stores: ["attachments"], months: monthsOf([costReq.result]) });
+            resolve(stored);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Receipts of one cost item, oldest first.
+function getAttachments(costId) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["attachments"], "readonly");
+        const req = tx.objectStore("attachments").index("costId").getAll(IDBKeyRange.only(costId));
+
+        req.onsuccess = () => resolve(req.result);
         req.onerror = () => reject(req.error);
     });
 }
 
+function deleteAttachment(id) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs", "attachments"], "readwrite");
+        const store = tx.objectStore("attachments");
+        const getReq = store.get(id);
+        let cost = null;
+
+        getReq.onsuccess = () => {
+            if (!getReq.result) return;
+            store.delete(id);
+            tx.objectStore("costs").get(getReq.result.costId).onsuccess = (e) => {
+                cost = e.target.result;
+            };
+        };
+
+        tx.oncomplete = () => {
+            broadcastChange(cost ? { stores: ["attachments"], months: monthsOf([cost]) } : { stores: ["attachments"] });
+            resolve(id);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Report rows + `attachments` (each row's receipts, possibly []), read in ONE transaction.
+function withAttachments(rows) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["attachments"], "readonly");
+        const index = tx.objectStore("attachments").index("costId");
+        const reqs = rows.map(row => index.getAll(IDBKeyRange.only(row.id)));
+
+        tx.oncomplete = () => resolve(rows.map((row, i) => ({ ...row, attachments: reqs[i].result })));
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Rates used to convert one item in "historical" mode, best source first:
+ * 1. the snapshot taken when the item was recorded,
+ * 2. the rates server's table for the item's day,
+ * 3. today's table (e.g. the server keeps no history).
+ */
+async function historicalRatesFor(item, currency, currentRates) {
+    if (hasRates(item.rates, item.currency, currency)) return item.rates;
+
+    try {
+        const dated = await fetchRatesForDate(itemDateKey(item));
+        if (hasRates(dated, item.currency, currency)) return dated;
+    } catch {
+        // fall through to current rates
+    }
+
+    return currentRates;
+}
+
+// Reads cost items + income entries in a yearMonth key range, all budgets and all accounts, in ONE transaction.
+function readCostsAndBudgets(range) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs", "income", "budgets", "accounts"], "readonly");
+        const req = tx.objectStore("costs").index("yearMonth").getAll(range);
+        const incomeReq = tx.objectStore("income").index("yearMonth").getAll(range);
+        const budgetsReq = tx.objectStore("budgets").getAll();
+        const accountsReq = tx.objectStore("accounts").getAll();
+
+        tx.oncomplete = () => resolve({
+            items: req.result,
+            income: incomeReq.result,
+            budgets: budgetsReq.result,
+            accounts: accountsReq.result
+        });
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Converts every item to `currency` with ONE current-rates lookup.
+ * Resolves with { amounts, errors (both in item order), rates (current table), ratesInfo }.
+ * An item that can't be converted gets amount null + an error message instead of failing the report.
+ *
+ * rateMode:
+ * - "current": every item is converted with today's rates (assignment behavior).
+ * - "historical": every item is converted with the rates in effect on its own day.
+ */
+async function convertItems(items, currency, rateMode) {
+    // We fetch rates when building the report so display currency can change dynamically.
+    // Without any rates (offline, never cached) a period that is entirely in the report
+    // currency can still be built: converting X -> X needs no table.
+    const current = await getCurrentRates();
+    const rates = current.rates || { [currency]: 1 };
+
+    const itemRates = rateMode === "historical"
+        ? await Promise.all(items.map(c => historicalRatesFor(c, currency, rates)))
+        : items.map(() => rates);
+
+    const errors = items.map((c, i) => {
+        if (hasRates(itemRates[i], c.currency, currency)) return null;
+        if (!current.rates) return "No exchange rates available (offline and nothing cached yet)";
+
+        const missing = hasRates(itemRates[i], c.currency) ? currency : c.currency;
+        return `No exchange rate for ${missing}`;
+    });
+    const amounts = items.map((c, i) => (
+        errors[i] ? null : convertAmount(c.sum, c.currency, currency, itemRates[i])
+    ));
+
+    return {
+        amounts,
+        errors,
+        rates,
+        // The table each item was converted with (same order as items), for the statement's rates list
+        itemRates,
+        // For the "rates as of …" / "stale rates" indicator in the UI
+        ratesInfo: { fetchedAt: current.fetchedAt, stale: current.stale }
+    };
+}
+
+/**
+ * convertItems + the report filters: drops the items (and their amounts) that don't match.
+ * Resolves with { items, amounts, errors, portions, rates, itemRates, ratesInfo }.
+ * portions[i] = what item i adds to the totals, by category: [{ category, amount }]
+ * (split items are allocated pro rata, a category filter keeps only its categories, no rate = []).
+ * Every total is the sum of these portions.
+ */
+async function convertAndFilter(items, currency, rateMode, filters) {
+    const converted = await convertItems(items, currency, rateMode);
+    let result = { items, ...converted };
+
+    if (hasActiveFilters(filters)) {
+        const keep = items.map((c, i) => matchesFilters(c, converted.amounts[i], filters));
+        result = {
+            ...converted,
+            items: items.filter((c, i) => keep[i]),
+            amounts: converted.amounts.filter((a, i) => keep[i]),
+            errors: converted.errors.filter((a, i) => keep[i]),
+            itemRates: converted.itemRates.filter((a, i) => keep[i])
+        };
+    }
+
+    const categories = filters?.categories || [];
+    const portions = result.items.map((c, i) => (result.errors[i]
+        ? []
+        : allocate(c, result.amounts[i]).filter(p => categories.length === 0 || categories.includes(p.category))));
+    return { ...result, portions };
+}
+
+const sumOf = (portions) => portions.reduce((acc, p) => acc + p.amount, 0);
+
+/**
+ * Income entries converted like cost items (same rate modes) and run through the same filters.
+ * Income has no category or tags, so a category/tag filter leaves all of it out.
+ * Resolves with { entries, amounts, errors } (amount null = no rate, left out of the totals).
+ */
+async function convertIncome(entries, currency, rateMode, filters) {
+    const { amounts, errors } = await convertItems(entries, currency, rateMode);
+    const keep = entries.map((e, i) => matchesFilters(e, amounts[i], filters));
+    return {
+        entries: entries.filter((e, i) => keep[i]),
+        amounts: amounts.filter((a, i) => keep[i]),
+        errors: errors.filter((a, i) => keep[i])
+    };
+}
+
+// { currency, income, expenses, net } in the report currency
+function balanceOf(currency, income, expenses) {
+    return { currency, income: round2(income), expenses: round2(expenses), net: round2(income - expenses) };
+}
+
+// Report rows: stored items + `converted` (sum in the report currency) or `conversionError`.
+function costRows(items, amounts, errors) {
+    return items.map((c, i) => (errors[i]
+        ? { ...c, converted: null, conversionError: errors[i] }
+        : { ...c, converted: round2(amounts[i]) }));
+}
+
+// Items left out of the totals: { count, reasons } (reasons = the distinct error messages).
+function unconvertedSummary(items, errors) {
+    const failed = errors.filter(Boolean);
+    return { count: failed.length, reasons: Array.from(new Set(failed)).sort() };
+}
+
+// With a category filter, only the selected categories' budgets are compared.
+function filterBudgets(budgets, filters) {
+    if (!filters || filters.categories.length === 0) return budgets;
+    return budgets.filter(b => filters.categories.includes(b.category));
+}
+
+// Budgets are stored in the currency they were set in; compare in the report currency.
+// Budgets are always converted with today's rates (they describe the present), and a budget
+// that can't be converted offline is left out rather than failing the report.
+function convertBudgets(budgets, currency, rates) {
+    return new Map(budgets
+        .filter(b => hasRates(rates, b.currency, currency))
+        .map(b => [b.category, convertAmount(b.amount, b.currency, currency, rates)]));
+}
+
+// Per-category rows { category, total, budget } for the given (category -> amount) map.
+function categoryRows(byCategory, budgets) {
+    const names = new Set([...byCategory.keys(), ...budgets.keys()]);
+    return Array.from(names).map(category => ({
+        category,
+        total: round2(byCategory.get(category) || 0),
+        budget: budgets.has(category) ? budgets.get(category) : null
+    }));
+}
+
+/**
+ * Per-account subtotals { accountId, name, total } (accountId null = "No account"), in the order of the
+ * accounts list. Built from the same portions as the totals, so they add up to the report total.
+ */
+function accountRows(items, portions, accounts) {
+    const known = new Map(accounts.map(a => [a.id, a]));
+    const byAccount = new Map();
+    items.forEach((c, i) => {
+        if (portions[i].length === 0) return;
+        // An id whose account is gone counts as "No account"
+        const key = known.has(c.accountId) ? c.accountId : null;
+        byAccount.set(key, (byAccount.get(key) || 0) + sumOf(portions[i]));
+    });
+
+    return [...accounts.map(a => a.id), null]
+        .filter(id => byAccount.has(id))
+        .map(id => ({
+            accountId: id,
+            name: id === null ? NO_ACCOUNT_LABEL : known.get(id).name,
+            total: round2(byAccount.get(id))
+        }));
+}
+
+/**
+ * Exchange rates behind a report's converted amounts: [{ currency, date, rate }], rate = what 1 unit of
+ * `currency` is worth in the report currency. "current" mode has one row per currency (date null: the
+ * rates of ratesInfo.fetchedAt); "historical" mode one per currency and day. Items in the report currency
+ * and items without a rate are not listed.
+ */
+function ratesUsedFor(items, errors, itemRates, currency, rateMode) {
+    const rows = new Map();
+    items.forEach((c, i) => {
+        if (errors[i] || c.currency === currency) return;
+
+        const date = rateMode === "historical" ? itemDateKey(c) : null;
+        const rates = itemRates[i];
+        rows.set(`${c.currency}|${date}`, {
+            currency: c.currency,
+            date,
+            rate: Math.round((rates[currency] / rates[c.currency]) * 1e6) / 1e6
+        });
+    });
+
+    return Array.from(rows.values())
+        .sort((a, b) => a.currency.localeCompare(b.currency) || (a.date || "").localeCompare(b.date || ""));
+}
+
+/**
+ * Monthly report.
+ * Besides the assignment's { year, month, costs, total } shape, it also returns `categories`:
+ * per-category spend in the selected currency, next to that category's budget (converted too),
+ * and `accounts`: per-account subtotals (see accountRows).
+ * Income is reported next to the costs: `income` lists the month's entries (same `converted` /
+ * `conversionError` fields as the costs) and `balance` is { currency, income, expenses, net }.
+ * Each returned cost also carries `converted`: its sum in the selected currency (for sorting/display),
+ * or `conversionError` when its currency has no rate. Such items are counted in `unconverted`
+ * ({ count, reasons }) instead of the totals; every report type has this field.
+ * Each cost also lists its receipts in `attachments` (records with Blobs, see addAttachments).
+ * `ratesUsed` lists the exchange rates the costs were converted with (see ratesUsedFor), for the statement.
+ * options.rateMode: "current" (default) | "historical" (see convertItems).
+ * options.filters: optional report filters (see lib/filters.js).
+ */
+async function getReport(year, month, currency, { rateMode = "current", filters } = {}) {
+    // Query only items in the requested (year, month).
+    const read = await readCostsAndBudgets(IDBKeyRange.only([year, month]));
+    const { items, amounts, errors, portions, rates, itemRates, ratesInfo } =
+        await convertAndFilter(read.items, currency, rateMode, filters);
+    const income = await convertIncome(read.income, currency, rateMode, filters);
+    const budgets = filterBudgets(read.budgets, filters);
+
+    // Compute totals in the selected currency, without changing what is stored in IndexedDB.
+    // Items without a rate have no portions: listed with their error, left out of the totals.
+    let total = 0;
+    const byCategory = new Map();
+    portions.flat().forEach(p => {
+        total += p.amount;
+        byCategory.set(p.category, (byCategory.get(p.category) || 0) + p.amount);
+    });
+
+    return {
+        year,
+        month,
+        // Costs remain in original currencies (stored currency stays untouched).
+        costs: await withAttachments(costRows(items, amounts, errors)),
+        total: { currency, total: round2(total) },
+        categories: categoryRows(byCategory, convertBudgets(budgets, currency, rates)),
+        accounts: accountRows(items, portions, read.accounts),
+        income: costRows(income.entries, income.amounts, income.errors),
+        balance: balanceOf(currency, income.amounts.reduce((acc, a) => acc + (a ?? 0), 0), total),
+        rateMode,
+        unconverted: unconvertedSummary([...items, ...income.entries], [...errors, ...income.errors]),
+        ratesUsed: ratesUsedFor(items, errors, itemRates, currency, rateMode),
+        ratesInfo
+    };
+}
+
+/**
+ * Aggregated expense totals in `currency` (income is not included), grouped by "month", "day" and/or "category"
+ * ("day" = day of its month, so it implies "month").
+ * range: { year } (whole year), { year, month }, or a span of months { from: { year, month }, to: { year, month } }
+ * (e.g. several years for a year-over-year chart). One key-range scan + one rates lookup, whatever the span.
+ * Resolves with { currency, total, groups: [{ year, month?, day?, category?, total, count }], ratesInfo }.
+ */
+async function getSummary(range, currency, { groupBy = ["month"], rateMode = "current", filters } = {}) {
+    const keys = Array.isArray(groupBy) ? groupBy : [groupBy];
+    const { year, month, from, to } = range;
+    let keyRange;
+    if (from && to) keyRange = IDBKeyRange.bound([from.year, from.month], [to.year, to.month]);
+    else if (month) keyRange = IDBKeyRange.only([year, month]);
+    else keyRange = IDBKeyRange.bound([year, 1], [year, 12]);
+
+    const read = await readCostsAndBudgets(keyRange);
+    const { items, errors, portions, ratesInfo } = await convertAndFilter(read.items, currency, rateMode, filters);
+
+    const groups = new Map();
+    let total = 0;
+    items.forEach((c, i) => {
+        if (portions[i].length === 0) return;
+
+        // By category, a split item counts once in each of its categories
+        const parts = keys.includes("category") ? portions[i] : [{ amount: sumOf(portions[i]) }];
+        parts.forEach(p => {
+            const group = { year: c.year };
+            if (keys.includes("month") || keys.includes("day")) group.month = c.month;
+            if (keys.includes("day")) group.day = c.day;
+            if (keys.includes("category")) group.category = p.category;
+
+            const id = JSON.stringify(group);
+            const entry = groups.get(id) || { ...group, total: 0, count: 0 };
+            entry.total += p.amount;
+            entry.count++;
+            groups.set(id, entry);
+            total += p.amount;
+        });
+    });
+
+    return {
+        currency,
+        total: round2(total),
+        groups: Array.from(groups.values()).map(g => ({ ...g, total: round2(g.total) })),
+        unconverted: unconvertedSummary(items, errors),
+        ratesInfo
+    };
+}
+
+/**
+ * Whole-year report for Charts, from ONE key-range scan over `yearMonth` and ONE rates lookup.
+ * Resolves with { year, currency, total, income, months: [{ month, total, income, categories, accounts }]
+ * (always 12), ratesInfo } where each month's `categories` and `accounts` have the same shape as getReport's
+ * (incl. budgets). `total` is the expenses; `income` the income entries of the year / month.
+ */
+async function getYearReport(year, currency, { rateMode = "current", filters } = {}) {
+    const read = await readCostsAndBudgets(IDBKeyRange.bound([year, 1], [year, 12]));
+    const { items, errors, portions, rates, ratesInfo } = await convertAndFilter(read.items, currency, rateMode, filters);
+    const income = await convertIncome(read.income, currency, rateMode, filters);
+    const budgetMap = convertBudgets(filterBudgets(read.budgets, filters), currency, rates);
+
+    const byMonth = Array.from({ length: 12 }, () => ({ total: 0, income: 0, byCategory: new Map() }));
+    items.forEach((c, i) => {
+        const m = byMonth[c.month - 1];
+        portions[i].forEach(p => {
+            m.total += p.amount;
+            m.byCategory.set(p.category, (m.byCategory.get(p.category) || 0) + p.amount);
+        });
+    });
+    income.entries.forEach((e, i) => {
+        byMonth[e.month - 1].income += income.amounts[i] ?? 0;
+    });
+
+    return {
+        year,
+        currency,
+        total: round2(byMonth.reduce((acc, m) => acc + m.total, 0)),
+        income: round2(byMonth.reduce((acc, m) => acc + m.income, 0)),
+        months: byMonth.map((m, i) => {
+            const inMonth = items.map(c => c.month === i + 1);
+            return {
+                month: i + 1,
+                total: round2(m.total),
+                income: round2(m.income),
+                categories: categoryRows(m.byCategory, budgetMap),
+                accounts: accountRows(
+                    items.filter((c, j) => inMonth[j]),
+                    portions.filter((p, j) => inMonth[j]),
+                    read.accounts
+                )
+            };
+        }),
+        rateMode,
+        unconverted: unconvertedSummary([...items, ...income.entries], [...errors, ...income.errors]),
+        ratesInfo
+    };
+}
+
+/**
+ * Report for an arbitrary inclusive date range (quarters, fiscal years, custom spans).
+ * from/to: "YYYY-MM-DD". Uses the `date` index (one key-range scan) and one rates lookup.
+ * Resolves with { from, to, costs, total, categories, accounts, income, balance, months: [{ year, month, total, income }],
+ * rateMode, ratesInfo }. `categories`, `income` and `balance` have getReport's shape; budgets are monthly,
+ * so they are not compared here (budget: null).
+ */
+async function getRangeReport(from, to, currency, { rateMode = "current", filters } = {}) {
+    const start = parseDateKey(from);
+    const end = parseDateKey(to);
+    if (end < start) throw new Error("The end date must not be before the start date.");
+
+    const read = await new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs", "income", "accounts"], "readonly");
+        const req = tx.objectStore("costs").index("date").getAll(IDBKeyRange.bound(from, to));
+        const incomeReq = tx.objectStore("income").index("date").getAll(IDBKeyRange.bound(from, to));
+        const accountsReq = tx.objectStore("accounts").getAll();
+
+        tx.oncomplete = () => resolve({ items: req.result, income: incomeReq.result, accounts: accountsReq.result });
+        tx.onerror = () => reject(tx.error);
+    });
+    const { items, amounts, errors, portions, ratesInfo } = await convertAndFilter(read.items, currency, rateMode, filters);
+    const income = await convertIncome(read.income, currency, rateMode, filters);
+
+    // Every month touched by the range, in order (empty months included, for bar charts)
+    const months = [];
+    for (let d = new Date(start.getFullYear(), start.getMonth(), 1); d <= end; d.setMonth(d.getMonth() + 1)) {
+        months.push({ year: d.getFullYear(), month: d.getMonth() + 1, total: 0, income: 0 });
+    }
+    const monthIndex = (c) => (c.year - start.getFullYear()) * 12 + (c.month - 1 - start.getMonth());
+
+    let total = 0;
+    const byCategory = new Map();
+    items.forEach((c, i) => {
+        // No rate = no portions: listed with its error, left out of the totals
+        portions[i].forEach(p => {
+            total += p.amount;
+            byCategory.set(p.category, (byCategory.get(p.category) || 0) + p.amount);
+            // An item dated outside the range (e.g. stale derived fields) never breaks the whole report
+            const bucket = months[monthIndex(c)];
+            if (bucket) bucket.total += p.amount;
+        });
+    });
+
+    let incomeTotal = 0;
+    income.entries.forEach((e, i) => {
+        incomeTotal += income.amounts[i] ?? 0;
+        const bucket = months[monthIndex(e)];
+        if (bucket) bucket.income += income.amounts[i] ?? 0;
+    });
+
+    return {
+        from,
+        to,
+        costs: await withAttachments(costRows(items, amounts, errors)),
+        total: { currency, total: round2(total) },
+        categories: categoryRows(byCategory, new Map()),
+        accounts: accountRows(items, portions, read.accounts),
+        income: costRows(income.entries, income.amounts, income.errors),
+        balance: balanceOf(currency, incomeTotal, total),
+        months: months.map(m => ({ ...m, total: round2(m.total), income: round2(m.income) })),
+        rateMode,
+        unconverted: unconvertedSummary([...items, ...income.entries], [...errors, ...income.errors]),
+        ratesInfo
+    };
+}
+
+// Occurrences of a recurring rule in (after, until] that are neither handled yet nor skipped (Dates)
+function occurrencesBetween(rule, after, until) {
+    const skipped = new Set(rule.skipped || []);
+    const dates = [];
+    let next = nextOccurrence(rule);
+
+    while (next && next <= until) {
+        if (next > after && !skipped.has(toDateKey(next))) dates.push(next);
+        next = nextOccurrence({ ...rule, lastDate: toDateKey(next) });
+    }
+    return dates;
+}
+
+/**
+ * End-of-month forecast for (year, month) in `currency`, for the Report and Charts tabs.
+ * - Known amounts: what is spent up to today, items already entered for later days, and the occurrences
+ *   of recurring rules still due this month.
+ * - The rest (variable spend: items not generated by a recurring rule) is projected by lib/forecast.js from
+ *   its daily run rate so far and the same month in past years (up to FORECAST_HISTORY_YEARS), with a band.
+ * Resolves with { year, month, currency, status, daysElapsed, daysInMonth, spent, known, runRate,
+ *   historicalAverage, projected, low, high, previousTotal, days: [{ day, actual, projected, low, high }],
+ *   unconverted, ratesInfo }. status: "past" (projected = the actual total), "current" or "future".
+ * `days` is the cumulative curve: `actual` up to today, projected/low/high from today to the month end.
+ * Amounts are rounded to cents; runRate is per day. historicalAverage is null without past data.
+ * options: rateMode + filters (as for getReport), today (defaults to now).
+ */
+async function getForecast(year, month, currency, { rateMode = "current", filters, today = new Date() } = {}) {
+    const monthDays = daysInMonth(year, month);
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const monthStart = new Date(year, month - 1, 1);
+    const monthEnd = new Date(year, month - 1, monthDays);
+
+    let status = "current";
+    if (todayStart < monthStart) status = "future";
+    else if (todayStart > monthEnd) status = "past";
+    const daysElapsed = { future: 0, past: monthDays, current: today.getDate() }[status];
+    const previousMonth = new Date(year, month - 2, 1);
+
+    const read = await new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["costs", "recurring"], "readonly");
+        const index = tx.objectStore("costs").index("yearMonth");
+        const monthReq = index.getAll(IDBKeyRange.only([year, month]));
+        const previousReq = index.getAll(IDBKeyRange.only([previousMonth.getFullYear(), previousMonth.getMonth() + 1]));
+        const historyReqs = Array.from(
+            { length: FORECAST_HISTORY_YEARS },
+            (_, i) => index.getAll(IDBKeyRange.only([year - 1 - i, month]))
+        );
+        const rulesReq = tx.objectStore("recurring").getAll();
+
+        tx.oncomplete = () => resolve({
+            month: monthReq.result,
+            previous: previousReq.result,
+            // Only past years that have data for this month count as history
+            history: historyReqs.map(req => req.result).filter(items => items.length > 0),
+            rules: rulesReq.result
+        });
+        tx.onerror = () => reject(tx.error);
+    });
+
+    // Recurring occurrences still to come this month, as the items they will become
+    const after = status === "future" ? new Date(year, month - 1, 0) : todayStart;
+    const upcoming = status === "past" ? [] : read.rules.flatMap(rule => occurrencesBetween(rule, after, monthEnd)
+        .map(date => buildCostItem({
+            sum: rule.sum,
+            currency: rule.currency,
+            category: rule.category,
+            description: rule.description,
+            recurringId: rule.id
+        }, date)));
+
+    // One conversion (+ filters) for everything; the groups are told apart by identity afterwards
+    const all = [...read.month, ...upcoming, ...read.previous, ...read.history.flat()];
+    const { items, portions, errors, ratesInfo } = await convertAndFilter(all, currency, rateMode, filters);
+    const amountOf = new Map(items.map((c, i) => [c, sumOf(portions[i])]));
+    const total = (group) => group.reduce((acc, c) => acc + (amountOf.get(c) || 0), 0);
+    const variable = (group) => group.filter(c => c.recurringId === undefined);
+
+    const todayKey = toDateKey(todayStart);
+    const soFar = read.month.filter(c => status === "past" || (status === "current" && itemDateKey(c) <= todayKey));
+    const later = read.month.filter(c => !soFar.includes(c));
+    const inMonth = new Set(read.month);
+
+    const spent = total(soFar);
+    const known = spent + total(later) + total(upcoming);
+    const onDay = (group, day) => total(group.filter(c => c.day === day));
+    const elapsed = Array.from({ length: daysElapsed }, (_, i) => i + 1);
+
+    const { runRate, historicalAverage, projected, low, high } = projectMonthEnd({
+        daysInMonth: monthDays,
+        daysElapsed,
+        known,
+        variableSoFar: total(variable(soFar)),
+        dailyVariable: elapsed.map(day => onDay(variable(soFar), day)),
+        pastTotals: read.history.map(group => total(variable(group)))
+    });
+    const days = forecastCurve({
+        daysInMonth: monthDays,
+        daysElapsed,
+        dailySpent: elapsed.map(day => onDay(soFar, day)),
+        spent,
+        projected,
+        low,
+        high
+    });
+
+    return {
+        year,
+        month,
+        currency,
+        status,
+        daysElapsed,
+        daysInMonth: monthDays,
+        spent: round2(spent),
+        known: round2(known),
+        runRate: round2(runRate),
+        historicalAverage: historicalAverage === null ? null : round2(historicalAverage),
+        projected: round2(projected),
+        low: round2(low),
+        high: round2(high),
+        previousTotal: round2(total(read.previous)),
+        days,
+        unconverted: unconvertedSummary(
+            items.filter(c => inMonth.has(c)),
+            errors.filter((e, i) => inMonth.has(items[i]))
+        ),
+        ratesInfo
+    };
+}
+
+/**
+ * Budgets
+ * -------
+ * One monthly budget per category: { category, amount, currency }.
+ * The category is the key, so setting a budget again simply replaces it.
+ */
+function getBudgets() {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["budgets"], "readonly");
+        const req = tx.objectStore("budgets").getAll();
+
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function setBudget(category, amount, currency) {
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return Promise.reject(new Error("Budget must be a positive number."));
+    }
+
+    return new Promise((resolve, reject) => {
+        const budget = { category, amount, currency: normalizeCurrencyCode(currency) };
+        const tx = dbInstance.transaction(["budgets"], "readwrite");
+        const req = tx.objectStore("budgets").put(budget);
+
+        req.onsuccess = () => resolve(budget);
+        req.onerror = () => reject(req.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["budgets"] });
+    });
+}
+
+function deleteBudget(category) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["budgets"], "readwrite");
+        const req = tx.objectStore("budgets").delete(category);
+
+        req.onsuccess = () => resolve(category);
+        req.onerror = () => reject(req.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["budgets"] });
+    });
+}
+
+/**
+ * Spend vs. budget for one category in one month, in the BUDGET's currency.
+ * Resolves with null when the category has no budget.
+ * options.rateMode: as for getReport (pass the Report tab's mode so both show the same numbers).
+ * options.itemId: a just-added item; `spentBefore` is then the spend without it, so callers can tell
+ * whether this item pushed the category over its limit (spentBefore is spent when there is no item).
+ */
+async function getBudgetStatus(year, month, category, { rateMode = "current", itemId } = {}) {
+    const budgets = await getBudgets();
+    const budget = budgets.find(b => b.category === category);
+    if (!budget) return null;
+
+    const report = await getReport(year, month, budget.currency, { rateMode });
+    const row = report.categories.find(c => c.category === category);
+    const spent = row ? row.total : 0;
+
+    // The item's share of this category (split items only count their portion)
+    const item = itemId === undefined ? null : report.costs.find(c => c.id === itemId);
+    const share = item && !item.conversionError
+        ? sumOf(allocate(item, item.converted).filter(p => p.category === category))
+        : 0;
+
+    return {
+        category,
+        currency: budget.currency,
+        limit: budget.amount,
+        spent,
+        spentBefore: round2(spent - share)
+    };
+}
+
+/**
+ * Recurring rules
+ * ---------------
+ * Rule shape: { id, sum, currency, category, description, frequency, startDate, endDate, lastDate, skipped }
+ * - frequency: "weekly" | "monthly" | "yearly"
+ * - startDate / endDate: "YYYY-MM-DD" (endDate optional)
+ * - lastDate: last occurrence already handled (materialized or skipped). It is a cursor, so
+ *   deleting a generated item never brings it back on the next open.
+ * - skipped: upcoming occurrence dates the user chose to skip.
+ *
+ * Generated cost items carry `recurringId` + `occurrence` so they link back to their rule,
+ * and can be edited/deleted one at a time like any other item.
+ */
+
+// n-th occurrence (0-based) of a rule. Monthly/yearly rules keep the start day, clamped to short months
+// (a rule starting Jan 31 falls on Feb 28/29, then back on Mar 31).
+function occurrenceDate(rule, n) {
+    const start = parseDateKey(rule.startDate);
+    const y = start.getFullYear();
+    const m = start.getMonth();
+    const d = start.getDate();
+
+    if (rule.frequency === "weekly") return new Date(y, m, d + 7 * n);
+
+    const monthOffset = rule.frequency === "yearly" ? 12 * n : n;
+    const first = new Date(y, m + monthOffset, 1);
+    const day = Math.min(d, daysInMonth(first.getFullYear(), first.getMonth() + 1));
+    return new Date(first.getFullYear(), first.getMonth(), day);
+}
+
+// First occurrence of a rule after its cursor (or null when the schedule has ended).
+function nextOccurrence(rule) {
+    const after = rule.lastDate ? parseDateKey(rule.lastDate) : null;
+    const end = rule.endDate ? parseDateKey(rule.endDate) : null;
+
+    for (let n = 0; ; n++) {
+        const date = occurrenceDate(rule, n);
+        if (end && date > end) return null;
+        if (!after || date > after) return date;
+    }
+}
+
+function validateRule(rule) {
+    if (!RECURRING_FREQUENCIES.includes(rule.frequency)) {
+        throw new Error(`Unknown frequency: ${rule.frequency}`);
+    }
+    parseDateKey(rule.startDate);
+    if (rule.endDate && parseDateKey(rule.endDate) < parseDateKey(rule.startDate)) {
+        throw new Error("End date must not be before the start date.");
+    }
+}
+
+/**
+ * Copies every due occurrence (date <= today) of every rule into `costs`.
+ * Runs in a single transaction so a rule's cursor only moves together with its items.
+ * Resolves with the number of generated cost items.
+ */
+function materializeRecurring(today = new Date()) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["recurring", "costs"], "readwrite");
+        const rulesStore = tx.objectStore("recurring");
+        const costsStore = tx.objectStore("costs");
+        const req = rulesStore.getAll();
+        const items = [];
+
+        req.onsuccess = () => {
+            req.result.forEach(rule => {
+                const skipped = new Set(rule.skipped || []);
+                let next = nextOccurrence(rule);
+                let lastDate = rule.lastDate;
+
+                while (next && next <= today) {
+                    const key = toDateKey(next);
+
+                    if (!skipped.has(key)) {
+                        const item = buildCostItem({
+                            sum: rule.sum,
+                            currency: rule.currency,
+                            category: rule.category,
+                            description: rule.description,
+                            recurringId: rule.id,
+                            occurrence: key
+                        }, next);
+                        costsStore.add(item);
+                        items.push(item);
+                    }
+
+                    skipped.delete(key);
+                    lastDate = key;
+                    next = nextOccurrence({ ...rule, lastDate });
+                }
+
+                if (lastDate !== rule.lastDate) {
+                    rulesStore.put({ ...rule, lastDate, skipped: Array.from(skipped) });
+                }
+            });
+        };
+
+        tx.oncomplete = () => {
+            // Every open tab runs this on start-up, so only announce runs that generated something
+            if (items.length > 0) broadcastChange({ stores: ["costs", "recurring"], months: monthsOf(items) });
+            resolve(items.length);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Lists rules with their next due date ("YYYY-MM-DD" or null) for the UI.
+function getRecurring() {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["recurring"], "readonly");
+        const req = tx.objectStore("recurring").getAll();
+
+        req.onsuccess = () => {
+            resolve(req.result.map(rule => {
+                const skipped = new Set(rule.skipped || []);
+                let next = nextOccurrence(rule);
+
+                // Skipped dates are not "next" from the user's point of view.
+                while (next && skipped.has(toDateKey(next))) {
+                    next = nextOccurrence({ ...rule, lastDate: toDateKey(next) });
+                }
+
+                return { ...rule, nextDate: next ? toDateKey(next) : null };
+            }));
+        };
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function addRecurring(rule) {
+    const item = { ...rule, endDate: rule.endDate || null, lastDate: null, skipped: [] };
+    validateRule(item);
+
+    const id = await new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["recurring"], "readwrite");
+        const req = tx.objectStore("recurring").add(item);
+
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["recurring"] });
+    });
+
+    // A rule that started in the past produces its due items right away.
+    await materializeRecurring();
+    return { ...item, id };
+}
+
+/**
+ * Updates a rule. Already generated items are left as they are (edit them one at a time);
+ * the new values apply to occurrences generated from now on.
+ */
+async function updateRecurring(id, patch) {
+    const item = await new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["recurring"], "readwrite");
+        const store = tx.objectStore("recurring");
+        const getReq = store.get(id);
+
+        getReq.onsuccess = () => {
+            const existing = getReq.result;
+            if (!existing) {
+                reject(new Error(`Recurring rule ${id} not found`));
+                return;
+            }
+
+            // Cursor + skip list are managed here, never by the caller.
+            const next = {
+                ...existing,
+                ...patch,
+                id,
+                lastDate: existing.lastDate,
+                skipped: existing.skipped,
+                endDate: (patch.endDate ?? existing.endDate) || null
+            };
+
+            try {
+                validateRule(next);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            const putReq = store.put(next);
+            putReq.onsuccess = () => resolve(next);
+            putReq.onerror = () => reject(putReq.error);
+            tx.oncomplete = () => broadcastChange({ stores: ["recurring"] });
+        };
+
+        getReq.onerror = () => reject(getReq.error);
+    });
+
+    await materializeRecurring();
+    return item;
+}
+
+// Deletes a rule. Items it already generated stay in `costs` (they are real, past expenses).
+function deleteRecurring(id) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["recurring"], "readwrite");
+        const req = tx.objectStore("recurring").delete(id);
+
+        req.onsuccess = () => resolve(id);
+        req.onerror = () => reject(req.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["recurring"] });
+    });
+}
+
+// Marks the next upcoming occurrence of a rule as skipped (e.g. a paused subscription month).
+async function skipNextOccurrence(id) {
+    const rules = await getRecurring();
+    const rule = rules.find(r => r.id === id);
+    if (!rule) throw new Error(`Recurring rule ${id} not found`);
+    if (!rule.nextDate) return null;
+
+    return new Promise((resolve, reject) => {
+        const { nextDate, ...stored } = rule;
+        const tx = dbInstance.transaction(["recurring"], "readwrite");
+        const req = tx.objectStore("recurring").put({
+            ...stored,
+            skipped: [...(stored.skipped || []), nextDate]
+        });
+
+        req.onsuccess = () => resolve(nextDate);
+        req.onerror = () => reject(req.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["recurring"] });
+    });
+}
+
+/**
+ * Categories
+ * ----------
+ * Record shape: { id, name, color, archived }
+ * - Archived categories are hidden from the add/edit forms but still show up in reports.
+ * - Cost items, budgets and recurring rules refer to categories by NAME (the assignment's item shape),
+ *   so rename/merge rewrite those references in the same transaction.
+ */
+
+// Seeds the categories store on first use: the defaults + any category already used by stored items.
+function ensureCategories() {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["categories", "costs"], "readwrite");
+        const store = tx.objectStore("categories");
+        const countReq = store.count();
+
+        countReq.onsuccess = () => {
+            if (countReq.result > 0) return;
+
+            const known = new Set();
+            DEFAULT_CATEGORIES.forEach(c => {
+                known.add(c.name);
+                store.add({ ...c, archived: false });
+            });
+
+            tx.objectStore("costs").openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+
+                const name = cursor.value.category;
+                if (name && !known.has(name)) {
+                    known.add(name);
+                    store.add({ name, color: FALLBACK_CATEGORY_COLOR, archived: false });
+                }
+                cursor.continue();
+            };
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function getCategories() {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["categories"], "readonly");
+        const req = tx.objectStore("categories").getAll();
+
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function normalizeCategoryName(name) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) throw new Error("Category name is required.");
+    return trimmed;
+}
+
+function addCategory({ name, color }) {
+    let item;
+    try {
+        item = { name: normalizeCategoryName(name), color: color || FALLBACK_CATEGORY_COLOR, archived: false };
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["categories"], "readwrite");
+        const store = tx.objectStore("categories");
+        const existsReq = store.index("name").get(item.name);
+
+        existsReq.onsuccess = () => {
+            if (existsReq.result) {
+                reject(new Error(`Category "${item.name}" already exists.`));
+                return;
+            }
+
+            const req = store.add(item);
+            req.onsuccess = () => resolve({ ...item, id: req.result });
+            req.onerror = () => reject(req.error);
+        };
+        existsReq.onerror = () => reject(existsReq.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["categories"] });
+    });
+}
+
+// Patches one category record (color / archived). Not for renames: those must rewrite references.
+function patchCategory(id, patch) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["categories"], "readwrite");
+        const store = tx.objectStore("categories");
+        const getReq = store.get(id);
+
+        getReq.onsuccess = () => {
+            if (!getReq.result) {
+                reject(new Error(`Category ${id} not found`));
+                return;
+            }
+
+            const item = { ...getReq.result, ...patch, id };
+            const putReq = store.put(item);
+            putReq.onsuccess = () => resolve(item);
+            putReq.onerror = () => reject(putReq.error);
+        };
+        getReq.onerror = () => reject(getReq.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["categories"] });
+    });
+}
+
+function setCategoryColor(id, color) {
+    return patchCategory(id, { color });
+}
+
+function setCategoryArchived(id, archived) {
+    return patchCategory(id, { archived: Boolean(archived) });
+}
+
+/**
+ * Moves every reference from category `from` to category `to` inside an open transaction
+ * over costs/budgets/recurring. When both categories have a budget, the target's budget wins.
+ */
+function rewriteCategoryRefs(tx, from, to) {
+    // Split items may use the category in any portion, not just the indexed main one, so every
+    // item is checked (renames are rare). A merge can put both portions in one category: they are joined.
+    tx.objectStore("costs").openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+
+        const c = cursor.value;
+        if (c.category === from || c.splits?.some(s => s.category === from)) {
+            cursor.update(normalizeItemFields({
+                ...c,
+                category: c.category === from ? to : c.category,
+                splits: mergeSplits(c.splits, from, to)
+            }));
+        }
+        cursor.continue();
+    };
+
+    const recurring = tx.objectStore("recurring");
+    recurring.openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+
+        if (cursor.value.category === from) cursor.update({ ...cursor.value, category: to });
+        cursor.continue();
+    };
+
+    const budgets = tx.objectStore("budgets");
+    const fromReq = budgets.get(from);
+    const toReq = budgets.get(to);
+    toReq.onsuccess = () => {
+        // Requests in one transaction complete in order, so fromReq is already done here.
+        if (fromReq.result && !toReq.result) budgets.put({ ...fromReq.result, category: to });
+        if (fromReq.result) budgets.delete(from);
+    };
+}
+
+// Portions with `from` renamed to `to`, same-category portions joined (a lone portion = no longer split)
+function mergeSplits(splits, from, to) {
+    if (!splits) return undefined;
+
+    const byCategory = new Map();
+    splits.forEach(s => {
+        const category = s.category === from ? to : s.category;
+        byCategory.set(category, round2((byCategory.get(category) || 0) + s.sum));
+    });
+    return byCategory.size > 1 ? Array.from(byCategory, ([category, sum]) => ({ category, sum })) : [];
+}
+
+const CATEGORY_REF_STORES = ["categories", "costs", "budgets", "recurring"];
+
+function renameCategory(id, newName) {
+    let name;
+    try {
+        name = normalizeCategoryName(newName);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(CATEGORY_REF_STORES, "readwrite");
+        const store = tx.objectStore("categories");
+        const getReq = store.get(id);
+        const clashReq = store.index("name").get(name);
+        let renamed = null;
+
+        clashReq.onsuccess = () => {
+            const existing = getReq.result;
+            if (!existing) {
+                tx.abort();
+                reject(new Error(`Category ${id} not found`));
+                return;
+            }
+            if (existing.name === name) {
+                renamed = existing;
+                return;
+            }
+            if (clashReq.result) {
+                tx.abort();
+                reject(new Error(`Category "${name}" already exists. Use merge instead.`));
+                return;
+            }
+
+            renamed = { ...existing, name };
+            store.put(renamed);
+            rewriteCategoryRefs(tx, existing.name, name);
+        };
+
+        tx.oncomplete = () => {
+            broadcastChange({ stores: CATEGORY_REF_STORES });
+            resolve(renamed);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Merges category `fromId` into `intoId`: all references move to the target, and the source is deleted.
+function mergeCategory(fromId, intoId) {
+    if (fromId === intoId) return Promise.reject(new Error("Cannot merge a category into itself."));
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(CATEGORY_REF_STORES, "readwrite");
+        const store = tx.objectStore("categories");
+        const fromReq = store.get(fromId);
+        const intoReq = store.get(intoId);
+
+        intoReq.onsuccess = () => {
+            if (!fromReq.result || !intoReq.result) {
+                tx.abort();
+                reject(new Error("Category not found"));
+                return;
+            }
+
+            store.delete(fromId);
+            rewriteCategoryRefs(tx, fromReq.result.name, intoReq.result.name);
+        };
+
+        tx.oncomplete = () => {
+            broadcastChange({ stores: CATEGORY_REF_STORES });
+            resolve(intoReq.result);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Accounts
+ * --------
+ * Record shape: { id, name, currency, type } (see lib/accounts.js). Names are unique.
+ * Cost items and income entries refer to an account by `accountId` (indexed); deleting an account keeps
+ * them, and they then count as "No account".
+ */
+function normalizeAccount({ name, currency, type }) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) throw new Error("Account name is required.");
+    if (!ACCOUNT_TYPES[type]) throw new Error(`Unknown account type: ${type}`);
+
+    const code = normalizeCurrencyCode(currency);
+    if (!code) throw new Error("Account currency is required.");
+    return { name: trimmed, currency: code, type };
+}
+
+function getAccounts() {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["accounts"], "readonly");
+        const req = tx.objectStore("accounts").getAll();
+
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Adds (id undefined) or replaces account `id`; the name must not be taken by ANOTHER account.
+function putAccount(id, fields) {
+    let account;
+    try {
+        account = normalizeAccount(fields);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    if (id !== undefined) account.id = id;
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["accounts"], "readwrite");
+        const store = tx.objectStore("accounts");
+        const clashReq = store.index("name").get(account.name);
+
+        clashReq.onsuccess = () => {
+            if (clashReq.result && clashReq.result.id !== id) {
+                reject(new Error(`Account "${account.name}" already exists.`));
+                return;
+            }
+
+            const req = store.put(account);
+            req.onsuccess = () => resolve({ ...account, id: req.result });
+            req.onerror = () => reject(req.error);
+        };
+        clashReq.onerror = () => reject(clashReq.error);
+        tx.oncomplete = () => broadcastChange({ stores: ["accounts"] });
+    });
+}
+
+function addAccount(fields) {
+    return putAccount(undefined, fields);
+}
+
+function updateAccount(id, fields) {
+    return putAccount(id, fields);
+}
+
+// Deletes an account and unlinks its items + income (same transaction), so nothing points at a missing account.
+function deleteAccount(id) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["accounts", "costs", "income"], "readwrite");
+        tx.objectStore("accounts").delete(id);
+
+        ["costs", "income"].forEach(storeName => {
+            tx.objectStore(storeName).index("accountId").openCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+
+                const { accountId, ...record } = cursor.value;
+                cursor.update(record);
+                cursor.continue();
+            };
+        });
+
+        tx.oncomplete = () => {
+            broadcastChange({ stores: ["accounts", "costs", "income"] });
+            resolve(id);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Income
+ * ------
+ * Record shape: { id, sum, currency, source, description, date, year, month, day, accountId?, rates? }.
+ * `source` is free text ("Salary", "Freelance"...). Like cost items, entries keep their original currency
+ * and a snapshot of the rates of their day; reports convert them (see convertIncome).
+ */
+function buildIncomeEntry(fields, when) {
+    const sum = Number(fields.sum);
+    if (!Number.isFinite(sum) || sum <= 0) throw new Error("Income sum must be a positive number.");
+
+    const source = (fields.source || "").trim();
+    if (!source) throw new Error("Income source is required.");
+
+    const entry = {
+        sum,
+        currency: normalizeCurrencyCode(fields.currency),
+        source,
+        description: (fields.description || "").trim(),
+        year: when.getFullYear(),
+        month: when.getMonth() + 1,
+        day: when.getDate(),
+        date: toDateKey(when)
+    };
+    if (fields.accountId !== undefined && fields.accountId !== null && fields.accountId !== "") {
+        entry.accountId = fields.accountId;
+    }
+    return entry;
+}
+
+async function addIncome(income) {
+    const entry = buildIncomeEntry(income, toCostDate(income.date));
+
+    // Same best-effort rates snapshot as addCost
+    try {
+        entry.rates = await fetchRatesForDate(entry.date);
+    } catch {
+        // no snapshot
+    }
+
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["income"], "readwrite");
+        const req = tx.objectStore("income").add(entry);
+
+        tx.oncomplete = () => {
+            broadcastChange({ stores: ["income"], months: monthsOf([entry]) });
+            resolve({ ...entry, id: req.result });
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function deleteIncome(id) {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["income"], "readwrite");
+        const store = tx.objectStore("income");
+        // Read first (same transaction) so the other tabs learn which month changed
+        const getReq = store.get(id);
+        store.delete(id);
+
+        tx.oncomplete = () => {
+            const existing = getReq.result;
+            if (existing) broadcastChange({ stores: ["income"], months: monthsOf([existing]) });
+            resolve(id);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Every income source in use, sorted (distinct keys of the `source` index, like getTags).
+function getIncomeSources() {
+    return new Promise((resolve, reject) => {
+        const tx = dbInstance.transaction(["income"], "readonly");
+        const req = tx.objectStore("income").index("source").openKeyCursor(null, "nextunique");
+        const sources = [];
+
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+
+            sources.push(cursor.key);
+            cursor.continue();
+        };
+
+        tx.oncomplete = () => resolve(sources);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Backup / restore
+ * ----------------
+ * Snapshot format (JSON-safe):
+ * {
+ *   format: "cost-manager-backup", formatVersion: 1,
+ *   schemaVersion: <IndexedDB version it was taken from>, exportedAt: <ISO timestamp>,
+ *   stores: { <storeName>: [records...] },   // every object store, records as stored (ids included)
+ *   settings: { cm_rates_url: ..., ... },    // localStorage settings (null = not set)
+ *   attachments: "included" | "excluded"
+ * }
+ * Attachment Blobs are not JSON-safe: included receipts carry their file as a `data` URL instead of `blob`.
+ * Excluded ones are simply not in `stores` (smaller file, e.g. for moving just the numbers).
+ *
+ * Import modes:
+ * - "replace": every store in the snapshot is cleared and refilled; settings are overwritten.
+ *   Replacing the costs always replaces the attachments too (they belong to the old cost ids).
+ * - "merge": existing data wins. Identical records are skipped, id conflicts get a new id
+ *   (recurring rule ids are remapped inside costs.recurringId, account ids inside costs/income.accountId, cost ids
+ *   inside attachments.costId), categories and accounts are matched by name, and only settings that are
+ *   not set locally are taken.
+ */
+const BACKUP_FORMAT = "cost-manager-backup";
+const BACKUP_FORMAT_VERSION = 1;
+const SETTINGS_KEYS = ["cm_rates_url", RATES_TTL_KEY, FAVORITES_KEY];
+
+// Stores whose new ids other stores depend on are imported first.
+const IMPORT_ORDER = ["categories", "accounts", "recurring", "budgets", "costs", "income", "attachments"];
+const UNIQUE_NAME_STORES = ["categories", "accounts"];
+
+// Blob -> "data:<type>;base64,..." (chunked: String.fromCharCode can't take a whole file at once)
+async function blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const m = /^data:([^;,]*);base64,(.*)$/.exec(dataUrl || "");
+    if (!m) throw new Error("Backup has an attachment without valid file data.");
+
+    const binary = atob(m[2]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: m[1] });
+}
+
+/**
+ * Snapshot of every store + the settings (format above).
+ * options.attachments: true (default) = receipts included as data URLs, false = left out.
+ */
+async function exportAll({ attachments = true } = {}) {
+    const snapshot = await new Promise((resolve, reject) => {
+        const names = Array.from(dbInstance.objectStoreNames).filter(n => attachments || n !== "attachments");
+        const tx = dbInstance.transaction(names, "readonly");
+        const stores = {};
+
+        names.forEach(name => {
+            const req = tx.objectStore(name).getAll();
+            req.onsuccess = () => {
+                stores[name] = req.result;
+            };
+        });
+
+        tx.oncomplete = () => {
+            const settings = {};
+            SETTINGS_KEYS.forEach(key => {
+                settings[key] = localStorage.getItem(key);
+            });
+
+            resolve({
+                format: BACKUP_FORMAT,
+                formatVersion: BACKUP_FORMAT_VERSION,
+                schemaVersion: dbInstance.version,
+                exportedAt: new Date().toISOString(),
+                stores,
+                settings,
+                attachments: attachments ? "included" : "excluded"
+            });
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+
+    if (snapshot.stores.attachments) {
+        snapshot.stores.attachments = await Promise.all(snapshot.stores.attachments.map(
+            async ({ blob, ...record }) => ({ ...record, data: await blobToDataUrl(blob) })
+        ));
+    }
+    return snapshot;
+}
+
+function validateSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== BACKUP_FORMAT) {
+        throw new Error("This file is not a Cost Manager backup.");
+    }
+    if (snapshot.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error("This backup was made by a newer version of the app.");
+    }
+    if (snapshot.schemaVersion > dbInstance.version) {
+        throw new Error(
+            `This backup uses database version ${snapshot.schemaVersion}, ` +
+            `but this app only supports up to ${dbInstance.version}. Please update the app first.`
+        );
+    }
+    if (!snapshot.stores || typeof snapshot.stores !== "object") {
+        throw new Error("Backup has no data.");
+    }
+}
+
+// Record content without its key, so the same item stored under another id is still recognized.
+function fingerprint(record, keyPath) {
+    return JSON.stringify({ ...record, [keyPath]: undefined });
+}
+
+// Plans the merge of one store: returns the records to write (with remapped ids) + counters.
+function planMerge(name, store, records, existing, idMaps, fromVersion) {
+    const keyPath = store.keyPath;
+    const byKey = new Map(existing.map(r => [r[keyPath], r]));
+    const byContent = new Map(existing.map(r => [fingerprint(r, keyPath), r[keyPath]]));
+    // Stores with a unique name index: name -> id of the record that has it
+    const names = new Map(UNIQUE_NAME_STORES.includes(name) ? existing.map(r => [r.name, r[keyPath]]) : []);
+    // Fresh ids start above BOTH sides, so a re-numbered record never lands on an id still to be imported
+    let maxId = [...existing, ...records].reduce(
+        (max, r) => (typeof r[keyPath] === "number" ? Math.max(max, r[keyPath]) : max),
+        0
+    );
+    const idMap = new Map();
+    const writes = [];
+    let skipped = 0;
+
+    records.forEach(original => {
+        // Backups from older versions: no ISO date (v5) would hide items from range reports,
+        // legacy currency codes (v6) would have no rate.
+        let record = migrateRecord(name, original, fromVersion);
+
+        // Generated cost items must keep pointing at their (possibly re-numbered) rule
+        if (name === "costs" && record.recurringId !== undefined && idMaps.recurring?.has(record.recurringId)) {
+            record = { ...record, recurringId: idMaps.recurring.get(record.recurringId) };
+        }
+
+        // Same for items / income and their account, receipts and their cost item
+        if ((name === "costs" || name === "income") && record.accountId !== undefined && idMaps.accounts?.has(record.accountId)) {
+            record = { ...record, accountId: idMaps.accounts.get(record.accountId) };
+        }
+        if (name === "attachments" && idMaps.costs?.has(record.costId)) {
+            record = { ...record, costId: idMaps.costs.get(record.costId) };
+        }
+
+        // Categories and accounts are identified by name (unique index), not by id.
+        // Items of an imported account then belong to the local account of that name.
+        if (names.has(record.name)) {
+            const localId = names.get(record.name);
+            if (localId !== record[keyPath]) idMap.set(record[keyPath], localId);
+            skipped++;
+            return;
+        }
+
+        const key = record[keyPath];
+
+        // Already here (possibly under another id, e.g. from an earlier merge): skip, but remember the id
+        const sameId = byContent.get(fingerprint(record, keyPath));
+        if (sameId !== undefined) {
+            if (sameId !== key) idMap.set(key, sameId);
+            skipped++;
+            return;
+        }
+
+        if (byKey.has(key)) {
+            if (!store.autoIncrement) {
+                skipped++;
+                return;
+            }
+
+            // Same id, different record: keep both, the imported one gets a fresh id
+            maxId++;
+            idMap.set(key, maxId);
+            record = { ...record, [keyPath]: maxId };
+        }
+
+        if (UNIQUE_NAME_STORES.includes(name)) names.set(record.name, record[keyPath]);
+        byContent.set(fingerprint(record, keyPath), record[keyPath]);
+        writes.push(record);
+    });
+
+    return { writes, skipped, idMap };
+}
+
+function restoreSettings(settings, mode) {
+    SETTINGS_KEYS.forEach(key => {
+        if (!settings || !(key in settings)) return;
+        if (mode === "merge" && localStorage.getItem(key) !== null) return;
+
+        if (settings[key] === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, settings[key]);
+    });
+}
+
+/**
+ * Restores a snapshot made by exportAll(). Runs in one transaction: on any error nothing is changed.
+ * Resolves with { <storeName>: { added, skipped } }.
+ */
+function importAll(snapshot, { mode = "merge" } = {}) {
+    try {
+        if (mode !== "merge" && mode !== "replace") throw new Error(`Unknown import mode: ${mode}`);
+        validateSnapshot(snapshot);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    // Receipts travel as data URLs (see exportAll); decoded up front so a broken one fails before any write.
+    const stores = { ...snapshot.stores };
+    try {
+        if (Array.isArray(stores.attachments)) {
+            stores.attachments = stores.attachments.map(({ data, ...record }) => ({ ...record, blob: dataUrlToBlob(data) }));
+        }
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    // Unknown stores (from a differently built app) are ignored; known ones are imported in dependency order.
+    const available = Array.from(dbInstance.objectStoreNames);
+    const names = Object.keys(stores)
+        .filter(n => available.includes(n) && Array.isArray(stores[n]))
+        .sort((a, b) => {
+            const ia = IMPORT_ORDER.indexOf(a);
+            const ib = IMPORT_ORDER.indexOf(b);
+            return (ia < 0 ? IMPORT_ORDER.length : ia) - (ib < 0 ? IMPORT_ORDER.length : ib);
+        });
+
+    // New cost ids would leave the current receipts on the wrong items: a backup without attachments clears them.
+    if (mode === "replace" && names.includes("costs") && !names.includes("attachments") &&
+        available.includes("attachments")) {
+        names.push("attachments");
+        stores.attachments = [];
+    }
+
+    // Records are upgraded with the same migrations as the DB itself (see MIGRATIONS)
+    const fromVersion = Number(snapshot.schemaVersion) || 0;
+
+    return new Promise((resolve, reject) => {
+        if (names.length === 0) {
+            reject(new Error("Backup has no data for this app."));
+            return;
+        }
+
+        const tx = dbInstance.transaction(names, "readwrite");
+        const summary = {};
+
+        if (mode === "replace") {
+            names.forEach(name => {
+                const store = tx.objectStore(name);
+                store.clear();
+                // Same upgrade of older backups as in planMerge
+                stores[name].forEach(record => store.put(migrateRecord(name, record, fromVersion)));
+                summary[name] = { added: stores[name].length, skipped: 0 };
+            });
+        } else {
+            const existing = {};
+            names.forEach((name, i) => {
+                const req = tx.objectStore(name).getAll();
+                req.onsuccess = () => {
+                    existing[name] = req.result;
+
+                    // Requests complete in order: once the last read is done, plan + write everything.
+                    if (i !== names.length - 1) return;
+
+                    const idMaps = {};
+                    names.forEach(n => {
+                        const store = tx.objectStore(n);
+                        const plan = planMerge(n, store, stores[n], existing[n], idMaps, fromVersion);
+
+                        idMaps[n] = plan.idMap;
+                        plan.writes.forEach(record => store.put(record));
+                        summary[n] = { added: plan.writes.length, skipped: plan.skipped };
+                    });
+                };
+            });
+        }
+
+        tx.oncomplete = () => {
+            restoreSettings(snapshot.settings, mode);
+            broadcastChange({ stores: names });
+            resolve(summary);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Restore was aborted"));
+    });
+}
+
 // Exported API used by App.jsx (idb.openCostsDB(...))
 export const idb = { openCostsDB };
@@ -0,0 +1,29 @@
+/**
+ * objectUrl.js
+ * ------------
+ * React hook that shows a Blob (e.g. a stored receipt) through an object URL.
+ *
+ * Team notes:
+ * - The URL is revoked when the Blob changes or the component unmounts, otherwise every
+ *   re-render of a report would keep another copy of each receipt alive.
+ */
+
+import { useEffect, useState } from "react";
+
+// Object URL for `blob` (null until created, or when there is no Blob)
+export function useObjectUrl(blob) {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        if (!blob) {
+            setUrl(null);
+            return undefined;
+        }
+
+        const next = URL.createObjectURL(blob);
+        setUrl(next);
+        return () => URL.revokeObjectURL(next);
+    }, [blob]);
+
+    return url;
+}
@@ -0,0 +1,52 @@
+/**
+ * pwa.js
+ * ------
+ * Service worker registration + "update available" detection (see src/service-worker.js).
+ *
+ * Team notes:
+ * - Only production builds register /sw.js; the Vite dev server must never be cached.
+ * - A new version stays "waiting" until the user accepts the update prompt (App.jsx); then we tell it
+ *   to take over and reload once it controls the page.
+ */
+
+/**
+ * Registers the service worker. `onUpdate(applyUpdate)` is called when a new version is ready;
+ * calling `applyUpdate()` activates it and reloads the page.
+ */
+export function registerServiceWorker(onUpdate) {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+    const base = import.meta.env.BASE_URL;
+
+    function notify(worker) {
+        onUpdate(() => {
+            navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), {
+                once: true
+            });
+            worker.postMessage({ type: "SKIP_WAITING" });
+        });
+    }
+
+    async function register() {
+        try {
+            const registration = await navigator.serviceWorker.register(`${base}sw.js`, { scope: base });
+
+            // Installed in an earlier visit and still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) notify(registration.waiting);
+
+            registration.addEventListener("updatefound", () => {
+                const worker = registration.installing;
+                worker.addEventListener("statechange", () => {
+                    // Without a controller this is the very first install, not an update
+                    if (worker.state === "installed" && navigator.serviceWorker.controller) notify(worker);
+                });
+            });
+        } catch {
+            // Nothing to report: the app still works online without offline support
+        }
+    }
+
+    // Registering after "load" keeps the precache download from competing with the first render
+    if (document.readyState === "complete") register();
+    else window.addEventListener("load", register, { once: true });
+}
@@ -0,0 +1,61 @@
+/**
+ * splits.js
+ * ---------
+ * Split expenses (one receipt booked under several categories) and free-form tags.
+ * Shared by idb.js (storage + report allocation), filters.js and the cost forms.
+ *
+ * Team notes:
+ * - A split item stores `splits: [{ category, sum }]` in its own currency; the portions add up to `sum`.
+ *   Its `category` is the largest portion's, so the assignment's item shape (and code that only
+ *   knows one category) still works. Items that are not split have no `splits` field.
+ * - Reports allocate an item's converted amount to the portions pro rata (see allocate).
+ * - Tags are trimmed, lower-case and unique per item ("Vacation-2026" and "vacation-2026" are one tag).
+ */
+
+// Every category an item is booked under
+export function itemCategories(item) {
+    return item.splits?.length ? item.splits.map(s => s.category) : [item.category];
+}
+
+// `amount` (the item's sum in the report currency) shared out by category: [{ category, amount }]
+export function allocate(item, amount) {
+    if (!item.splits?.length) return [{ category: item.category, amount }];
+    return item.splits.map(s => ({ category: s.category, amount: amount * (s.sum / item.sum) }));
+}
+
+/**
+ * Validates the portions of a `sum` and returns them cleaned up ([] = not split).
+ * Throws an Error with a user-facing message when they don't describe a valid split.
+ */
+export function normalizeSplits(sum, splits) {
+    if (!splits || splits.length === 0) return [];
+    if (splits.length < 2) throw new Error("A split needs at least two categories.");
+
+    const portions = splits.map(s => ({ category: (s.category || "").trim(), sum: Number(s.sum) }));
+    portions.forEach(p => {
+        if (!p.category) throw new Error("Every split portion needs a category.");
+        if (!Number.isFinite(p.sum) || p.sum <= 0) throw new Error(`The ${p.category} portion must be a positive number.`);
+    });
+
+    if (new Set(portions.map(p => p.category)).size !== portions.length) {
+        throw new Error("Each category can appear only once in a split.");
+    }
+
+    // Compared in cents, so 33.33 + 66.67 = 100 despite floating point
+    const total = portions.reduce((acc, p) => acc + Math.round(p.sum * 100), 0);
+    if (total !== Math.round(sum * 100)) {
+        throw new Error(`The split portions add up to ${total / 100}, not ${sum}.`);
+    }
+    return portions;
+}
+
+// Category of the largest portion (the first one on a tie)
+export function mainCategory(splits) {
+    return splits.reduce((best, s) => (s.sum > best.sum ? s : best)).category;
+}
+
+export function normalizeTags(tags) {
+    return Array.from(new Set((tags || [])
+        .map(t => String(t).trim().toLowerCase())
+        .filter(Boolean)));
+}
@@ -0,0 +1,63 @@
+/**
+ * sync.js
+ * -------
+ * Cross-tab change notifications: when one tab writes to IndexedDB, the other tabs refresh.
+ *
+ * Team notes:
+ * - idb.js calls broadcastChange(...) after every committed write; UI code calls subscribeChanges(...).
+ * - Transport: BroadcastChannel; browsers without it get the same messages through a localStorage
+ *   "storage" event. Neither delivers to the sending tab (it already refreshes itself).
+ * - Settings are plain localStorage keys, so changes from another tab arrive as storage events too.
+ * - A change looks like { stores: ["costs", ...], months: ["YYYY-MM", ...] } or { settings: [key] }.
+ *   `months` lists the cost months touched; it is omitted when unknown (e.g. a restore) = "anything".
+ */
+
+const CHANNEL_NAME = "cost-manager";
+const FALLBACK_KEY = "cm_sync_event";
+const SYNCED_SETTINGS = ["cm_rates_url", "cm_rates_ttl_minutes", "cm_favorite_currencies"];
+
+const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+export function broadcastChange(change) {
+    try {
+        if (channel) {
+            channel.postMessage(change);
+        } else {
+            // A unique value each time, otherwise writing the same change twice wouldn't fire an event
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify({ ...change, nonce: `${Date.now()}-${Math.random()}` }));
+        }
+    } catch {
+        // Notifications are best effort; the data itself is already saved
+    }
+}
+
+// Calls listener(change) for changes made in OTHER tabs. Returns an unsubscribe function.
+export function subscribeChanges(listener) {
+    const onMessage = (e) => listener(e.data);
+    const onStorage = (e) => {
+        if (e.key === FALLBACK_KEY && e.newValue) {
+            listener(JSON.parse(e.newValue));
+        } else if (SYNCED_SETTINGS.includes(e.key)) {
+            listener({ settings: [e.key] });
+        }
+    };
+
+    channel?.addEventListener("message", onMessage);
+    window.addEventListener("storage", onStorage);
+    return () => {
+        channel?.removeEventListener("message", onMessage);
+        window.removeEventListener("storage", onStorage);
+    };
+}
+
+// "YYYY-MM" of a cost item (what changes carry in `months`)
+export function monthKey(year, month) {
+    return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+// Does a change to `stores` (any of them) touch the inclusive date range from..to ("YYYY-MM-DD")?
+export function touchesRange(change, stores, from, to) {
+    if (!change.stores?.some(s => stores.includes(s))) return false;
+    if (!change.months) return true;
+    return change.months.some(m => m >= from.slice(0, 7) && m <= to.slice(0, 7));
+}
@@ -0,0 +1,87 @@
+/**
+ * service-worker.js
+ * -----------------
+ * Offline support for the installed app (PWA). Built by the `serviceWorker` plugin in vite.config.js,
+ * which fills in the precache file list + build version placeholders and emits it as /sw.js.
+ *
+ * Notes (team):
+ * - App shell (built JS/CSS, index.html, manifest, icons) is precached on install and served cache-first,
+ *   so the app loads with no server at all. IndexedDB data is local anyway.
+ * - Rates responses (any ".../rates" URL, dated ones included) are network-first with the last good
+ *   response as offline fallback. idb.js also keeps its own localStorage cache, so custom URLs work too.
+ * - A new version waits until the page asks it to take over ("update available" prompt in App.jsx),
+ *   so a running session never mixes old and new assets.
+ */
+
+const PRECACHE_FILES = __PRECACHE_FILES__;
+const VERSION = __BUILD_VERSION__;
+
+const PRECACHE = `cm-precache-${VERSION}`;
+const RATES_CACHE = "cm-rates";
+
+// Files are listed relative to the app root; the scope makes it work under any base path.
+const toUrl = (file) => new URL(file, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_FILES.map(toUrl)))
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    // Drop the precache of older versions (the rates cache is shared between versions)
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith("cm-precache-") && key !== PRECACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("message", (event) => {
+    if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(RATES_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: PRECACHE });
+    return cached || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+
+    // Single-page app: every navigation gets the cached index.html
+    if (request.mode === "navigate") {
+        event.respondWith(
+            caches.match(toUrl("index.html"), { cacheName: PRECACHE })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (/\/rates\/?$/.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin && PRECACHE_FILES.some(file => toUrl(file) === url.href)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -9,10 +9,21 @@
  * Responsibilities:
  * - Open and initialize the IndexedDB database
  * - Add new cost items
+ * - Update and delete existing cost items
  * - Generate monthly reports in a selected currency
  *
  * Exchange rates are fetched using the Fetch API from a configurable URL.
  * The URL is stored in localStorage and can be changed via the UI.
+ * The last good rates table is cached in localStorage (same keys as the React
+ * version) and used as a fallback when the rates URL is unreachable.
+ *
+ * Currency codes are ISO 4217 ("EUR"); the legacy "EURO" key of older rates JSON
+ * and stored data is mapped to "EUR" (DB v6). An item whose currency has no rate
+ * gets a `conversionError` in the report and is left out of the total.
+ *
+ * Writes (add / update / delete) are announced to open React tabs through the same cross-tab channel
+ * as src/lib/sync.js (BroadcastChannel "cost-manager", or the "cm_sync_event" localStorage key), so
+ * they refresh like after a write made in another tab of the app.
  *
  */
 
@@ -33,6 +44,33 @@
         }
     }
 
+    // Legacy code -> ISO 4217 code (same mapping as src/lib/currencies.js)
+    var LEGACY_CODES = { EURO: "EUR" };
+
+    function normalizeCurrencyCode(code) {
+        if (typeof code !== "string") {
+            return code;
+        }
+        var upper = code.trim().toUpperCase();
+        return LEGACY_CODES[upper] || upper;
+    }
+
+    // Rates JSON with ISO keys (an ISO key wins over its legacy alias)
+    function normalizeRates(rates) {
+        if (!rates || typeof rates !== "object") {
+            return rates;
+        }
+
+        var result = {};
+        Object.keys(rates).forEach(function (code) {
+            var iso = normalizeCurrencyCode(code);
+            if (iso === code.toUpperCase() || !(iso in result)) {
+                result[iso] = rates[code];
+            }
+        });
+        return result;
+    }
+
     // Fetch exchange rates from server (USD base)
     function fetchRates() {
         return fetch(getRatesUrl()).then(function (res) {
@@ -40,9 +78,72 @@
                 throw new Error("Failed to fetch exchange rates");
             }
             return res.json();
+        }).then(normalizeRates);
+    }
+
+    // Rates cache (shared with the React app: same localStorage keys + format)
+    var RATES_CACHE_KEY = "cm_rates_cache";
+    var RATES_TTL_KEY = "cm_rates_ttl_minutes";
+    var DEFAULT_RATES_TTL_MINUTES = 60;
+
+    function getRatesTtlMs() {
+        var raw = null;
+        try {
+            raw = localStorage.getItem(RATES_TTL_KEY);
+        } catch {
+            // storage unavailable -> default
+        }
+        var minutes = raw === null || raw === "" ? DEFAULT_RATES_TTL_MINUTES : Number(raw);
+        if (!isFinite(minutes) || minutes < 0) {
+            minutes = DEFAULT_RATES_TTL_MINUTES;
+        }
+        return minutes * 60 * 1000;
+    }
+
+    function readRatesCache() {
+        try {
+            var cached = JSON.parse(localStorage.getItem(RATES_CACHE_KEY));
+            if (cached) {
+                cached.rates = normalizeRates(cached.rates);
+            }
+            return cached;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Current rates with offline fallback: fresh cache (within TTL) -> network -> stale cache.
+     * Resolves with { rates, fetchedAt, stale } (rates = null if nothing was ever fetched).
+     */
+    function getCurrentRates() {
+        var url = getRatesUrl();
+        var cached = readRatesCache();
+
+        if (cached && cached.url === url && Date.now() - cached.fetchedAt < getRatesTtlMs()) {
+            return Promise.resolve({ rates: cached.rates, fetchedAt: cached.fetchedAt, stale: false });
+        }
+
+        return fetchRates().then(function (rates) {
+            var entry = { url: url, rates: rates, fetchedAt: Date.now() };
+            try {
+                localStorage.setItem(RATES_CACHE_KEY, JSON.stringify(entry));
+            } catch {
+                // cache is optional
+            }
+            return { rates: rates, fetchedAt: entry.fetchedAt, stale: false };
+        }).catch(function () {
+            if (cached) {
+                return { rates: cached.rates, fetchedAt: cached.fetchedAt, stale: true };
+            }
+            return { rates: null, fetchedAt: null, stale: true };
         });
     }
 
+    function hasRate(rates, code) {
+        return Boolean(rates) && isFinite(rates[code]) && rates[code] > 0;
+    }
+
     // Convert amount between currencies using USD as base
     function convertAmount(amount, from, to, rates) {
         var usd = amount / rates[from];
@@ -50,16 +151,15 @@
     }
 
     /**
-     * Opens (or creates) the IndexedDB database.
-     * Must be called before any other operation.
+     * Schema migrations, one entry per DB version (same steps as src/lib/idb.js).
+     * - upgrade(db, tx): schema changes; steps check what exists first.
+     * - records: { storeName: function (record) { return record; } } data fixes, applied by ONE
+     *   cursor per store in version order (two cursors on the same store would overwrite each other).
      */
-    function openCostsDB(databaseName, databaseVersion) {
-        return new Promise(function (resolve, reject) {
-            var request = indexedDB.open(databaseName, databaseVersion);
-
-            request.onupgradeneeded = function (event) {
-                var db = event.target.result;
-
+    var MIGRATIONS = [
+        {
+            version: 1,
+            upgrade: function (db) {
                 if (!db.objectStoreNames.contains("costs")) {
                     var store = db.createObjectStore("costs", {
                         keyPath: "id",
@@ -67,38 +167,422 @@
                     });
                     store.createIndex("yearMonth", ["year", "month"], { unique: false });
                 }
+            }
+        },
+        {
+            // Recurring rules store (managed by the React app; created here so both
+            // versions of the wrapper produce the same schema)
+            version: 2,
+            upgrade: function (db) {
+                if (!db.objectStoreNames.contains("recurring")) {
+                    db.createObjectStore("recurring", {
+                        keyPath: "id",
+                        autoIncrement: true
+                    });
+                }
+            }
+        },
+        {
+            // Monthly budgets per category (managed by the React app)
+            version: 3,
+            upgrade: function (db) {
+                if (!db.objectStoreNames.contains("budgets")) {
+                    db.createObjectStore("budgets", { keyPath: "category" });
+                }
+            }
+        },
+        {
+            // User-managed categories + costs.category index
+            // (the React app seeds the categories on open)
+            version: 4,
+            upgrade: function (db, tx) {
+                if (!db.objectStoreNames.contains("categories")) {
+                    var categories = db.createObjectStore("categories", {
+                        keyPath: "id",
+                        autoIncrement: true
+                    });
+                    categories.createIndex("name", "name", { unique: true });
+                }
+
+                var costs = tx.objectStore("costs");
+                if (!costs.indexNames.contains("category")) {
+                    costs.createIndex("category", "category", { unique: false });
+                }
+            }
+        },
+        {
+            // ISO date field + index (date-range reports); backfill existing rows
+            version: 5,
+            upgrade: function (db, tx) {
+                var costs = tx.objectStore("costs");
+                if (!costs.indexNames.contains("date")) {
+                    costs.createIndex("date", "date", { unique: false });
+                }
+            },
+            records: {
+                costs: function (c) {
+                    if (!c.date) {
+                        c.date = toDateKey(new Date(c.year, c.month - 1, c.day));
+                    }
+                    return c;
+                }
+            }
+        },
+        {
+            // ISO currency codes in items (+ rate snapshots), budgets and recurring rules
+            version: 6,
+            records: {
+                costs: function (c) {
+                    c.currency = normalizeCurrencyCode(c.currency);
+                    if (c.rates) {
+                        c.rates = normalizeRates(c.rates);
+                    }
+                    return c;
+                },
+                budgets: function (b) {
+                    b.currency = normalizeCurrencyCode(b.currency);
+                    return b;
+                },
+                recurring: function (r) {
+                    r.currency = normalizeCurrencyCode(r.currency);
+                    return r;
+                }
+            }
+        },
+        {
+            // `Date: { day }` always mirrors `day`
+            version: 7,
+            records: {
+                costs: function (c) {
+                    var day = Number.isInteger(c.day) ? c.day : Number(c.Date && c.Date.day);
+                    if (Number.isInteger(day)) {
+                        c.day = day;
+                        c.Date = Object.assign({}, c.Date, { day: day });
+                    }
+                    return c;
+                }
+            }
+        },
+        {
+            // Receipt attachments (Blobs) linked by costId (managed by the React app)
+            version: 8,
+            upgrade: function (db) {
+                if (!db.objectStoreNames.contains("attachments")) {
+                    var attachments = db.createObjectStore("attachments", {
+                        keyPath: "id",
+                        autoIncrement: true
+                    });
+                    attachments.createIndex("costId", "costId", { unique: false });
+                }
+            }
+        },
+        {
+            // Free-form tags (multiEntry index); every item gets a (possibly empty) tag list
+            version: 9,
+            upgrade: function (db, tx) {
+                var costs = tx.objectStore("costs");
+                if (!costs.indexNames.contains("tags")) {
+                    costs.createIndex("tags", "tags", { unique: false, multiEntry: true });
+                }
+            },
+            records: {
+                costs: function (c) {
+                    c.tags = (Array.isArray(c.tags) ? c.tags : []).map(function (t) {
+                        return String(t).trim().toLowerCase();
+                    }).filter(function (t, i, all) {
+                        return t && all.indexOf(t) === i;
+                    });
+                    return c;
+                }
+            }
+        },
+        {
+            // Payment accounts (managed by the React app) + costs.accountId index
+            version: 10,
+            upgrade: function (db, tx) {
+                if (!db.objectStoreNames.contains("accounts")) {
+                    var accounts = db.createObjectStore("accounts", {
+                        keyPath: "id",
+                        autoIncrement: true
+                    });
+                    accounts.createIndex("name", "name", { unique: true });
+                }
+
+                var costs = tx.objectStore("costs");
+                if (!costs.indexNames.contains("accountId")) {
+                    costs.createIndex("accountId", "accountId", { unique: false });
+                }
+            }
+        },
+        {
+            // Income entries (managed by the React app; the assignment's reports only count costs)
+            version: 11,
+            upgrade: function (db) {
+                if (!db.objectStoreNames.contains("income")) {
+                    var income = db.createObjectStore("income", {
+                        keyPath: "id",
+                        autoIncrement: true
+                    });
+                    income.createIndex("yearMonth", ["year", "month"], { unique: false });
+                    income.createIndex("date", "date", { unique: false });
+                    income.createIndex("source", "source", { unique: false });
+                    income.createIndex("accountId", "accountId", { unique: false });
+                }
+            }
+        }
+    ];
+
+    // Same channel + fallback key as src/lib/sync.js, so the React app hears writes made through this file
+    var SYNC_CHANNEL_NAME = "cost-manager";
+    var SYNC_FALLBACK_KEY = "cm_sync_event";
+    var syncChannel = typeof BroadcastChannel === "function" ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+    // "YYYY-MM" of every cost item given (what change notifications carry in `months`)
+    function monthsOf(items) {
+        var months = items.map(function (c) {
+            return c.year + "-" + String(c.month).padStart(2, "0");
+        });
+        return months.filter(function (m, i) {
+            return months.indexOf(m) === i;
+        });
+    }
+
+    // { stores, months } after a committed write; best effort, the data itself is already saved
+    function broadcastChange(change) {
+        try {
+            if (syncChannel) {
+                syncChannel.postMessage(change);
+            } else {
+                localStorage.setItem(SYNC_FALLBACK_KEY, JSON.stringify(Object.assign({}, change, {
+                    nonce: Date.now() + "-" + Math.random()
+                })));
+            }
+        } catch (e) {
+            // no notification
+        }
+    }
+
+    // Latest schema version (the last migration step)
+    var SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    function runMigrations(db, tx, oldVersion, newVersion) {
+        var pending = MIGRATIONS.filter(function (m) {
+            return m.version > oldVersion && m.version <= newVersion;
+        });
+
+        pending.forEach(function (m) {
+            if (m.upgrade) {
+                m.upgrade(db, tx);
+            }
+        });
+
+        // A brand-new DB has no records to fix
+        if (oldVersion === 0) {
+            return;
+        }
+
+        ["costs", "budgets", "recurring"].forEach(function (storeName) {
+            var fixes = pending.filter(function (m) {
+                return m.records && m.records[storeName];
+            }).map(function (m) {
+                return m.records[storeName];
+            });
+            if (fixes.length === 0) {
+                return;
+            }
+
+            tx.objectStore(storeName).openCursor().onsuccess = function (ev) {
+                var cursor = ev.target.result;
+                if (!cursor) {
+                    return;
+                }
+
+                cursor.update(fixes.reduce(function (record, fix) {
+                    return fix(record);
+                }, cursor.value));
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Opens (or creates) the IndexedDB database.
+     * Must be called before any other operation.
+     * `databaseVersion` is a minimum: the DB is always opened with at least SCHEMA_VERSION, so a tester
+     * calling openCostsDB("costsdb", 1) (the original contract) still works after the React app (or
+     * this file) upgraded the DB, and every store the API uses exists.
+     * Optional `options.onBlocked` / `options.onVersionChange` callbacks: the upgrade waits for
+     * another tab holding an older version / another tab upgraded the DB (our connection is closed).
+     */
+    function openCostsDB(databaseName, databaseVersion, options) {
+        var opts = options || {};
+
+        return new Promise(function (resolve, reject) {
+            var version = Math.max(Number(databaseVersion) || 1, SCHEMA_VERSION);
+            var request = indexedDB.open(databaseName, version);
+            var upgradeError = null;
+
+            request.onupgradeneeded = function (event) {
+                var tx = event.target.transaction;
+                try {
+                    runMigrations(event.target.result, tx, event.oldVersion, event.newVersion);
+                } catch (e) {
+                    // Aborting keeps the DB at its old version with its data untouched
+                    upgradeError = e;
+                    tx.abort();
+                }
+            };
+
+            // The upgrade continues by itself once the other tab closes; callers may show a notice meanwhile
+            request.onblocked = function () {
+                if (opts.onBlocked) {
+                    opts.onBlocked();
+                }
             };
 
             request.onsuccess = function (event) {
                 DB_STATE.db = event.target.result;
+
+                DB_STATE.db.onversionchange = function () {
+                    DB_STATE.db.close();
+                    if (opts.onVersionChange) {
+                        opts.onVersionChange();
+                    }
+                };
+
                 resolve({
                     addCost: addCost,
+                    updateCost: updateCost,
+                    deleteCost: deleteCost,
                     getReport: getReport
                 });
             };
 
             request.onerror = function () {
-                reject(request.error);
+                var cause = upgradeError || request.error;
+                reject(new Error("Could not open the database (version " + version + "): " +
+                    (cause && cause.message)));
             };
         });
     }
 
+    // Date -> "YYYY-MM-DD" (local time)
+    function toDateKey(d) {
+        var mm = String(d.getMonth() + 1).padStart(2, "0");
+        var dd = String(d.getDate()).padStart(2, "0");
+        return d.getFullYear() + "-" + mm + "-" + dd;
+    }
+
+    // Parses the optional cost date: Date object or "YYYY-MM-DD" (read as a local date)
+    function toCostDate(value) {
+        if (value === undefined || value === null || value === "") {
+            return new Date();
+        }
+
+        if (typeof value === "string") {
+            var m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            if (!m) {
+                throw new Error("Invalid date: " + value);
+            }
+            return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+        }
+
+        var d = new Date(value);
+        if (isNaN(d.getTime())) {
+            throw new Error("Invalid date");
+        }
+        return d;
+    }
+
+    // Trimmed, lower-case, unique tags (same rule as src/lib/splits.js normalizeTags)
+    function normalizeTags(tags) {
+        var seen = {};
+        return (tags || []).map(function (t) {
+            return String(t).trim().toLowerCase();
+        }).filter(function (t) {
+            if (!t || seen[t]) {
+                return false;
+            }
+            seen[t] = true;
+            return true;
+        });
+    }
+
+    /**
+     * Validates the split portions of `sum` and returns them cleaned up ([] = not split).
+     * Same rules and messages as src/lib/splits.js normalizeSplits: at least two portions, each with a
+     * category (once) and a positive sum, adding up to `sum` (compared in cents).
+     */
+    function normalizeSplits(sum, splits) {
+        if (!splits || splits.length === 0) {
+            return [];
+        }
+        if (splits.length < 2) {
+            throw new Error("A split needs at least two categories.");
+        }
+
+        var seen = {};
+        var totalCents = 0;
+        var portions = splits.map(function (p) {
+            var portion = { category: (p.category || "").trim(), sum: Number(p.sum) };
+            if (!portion.category) {
+                throw new Error("Every split portion needs a category.");
+            }
+            if (!isFinite(portion.sum) || portion.sum <= 0) {
+                throw new Error("The " + portion.category + " portion must be a positive number.");
+            }
+            if (seen[portion.category]) {
+                throw new Error("Each category can appear only once in a split.");
+            }
+            seen[portion.category] = true;
+            totalCents += Math.round(portion.sum * 100);
+            return portion;
+        });
+
+        if (totalCents !== Math.round(sum * 100)) {
+            throw new Error("The split portions add up to " + totalCents / 100 + ", not " + sum + ".");
+        }
+        return portions;
+    }
+
+    /**
+     * Tags and split portions of an item, normalized like the React wrapper stores them: a split item is
+     * filed under its largest portion's category, an item that is no longer split loses `splits`.
+     */
+    function normalizeItemFields(item) {
+        var portions = normalizeSplits(item.sum, item.splits);
+        var result = Object.assign({}, item, { tags: normalizeTags(item.tags) });
+        delete result.splits;
+
+        if (portions.length > 0) {
+            result.splits = portions;
+            result.category = portions.reduce(function (best, p) {
+                return p.sum > best.sum ? p : best;
+            }).category;
+        }
+        return result;
+    }
+
     /**
      * Adds a new cost item to the database.
-     * The date is automatically set to the current date.
+     * The date defaults to the current date; an optional `date`
+     * (Date or "YYYY-MM-DD") allows backdated / future-dated items.
      */
     function addCost(cost) {
         return new Promise(function (resolve, reject) {
-            var now = new Date();
+            var when = toCostDate(cost.date);
             var item = {
                 sum: cost.sum,
-                currency: cost.currency,
+                currency: normalizeCurrencyCode(cost.currency),
                 category: cost.category,
                 description: cost.description,
-                year: now.getFullYear(),
-                month: now.getMonth() + 1,
-                day: now.getDate(),
-                Date: { day: now.getDate() }
+                year: when.getFullYear(),
+                month: when.getMonth() + 1,
+                day: when.getDate(),
+                date: toDateKey(when),
+                Date: { day: when.getDate() },
+                // Same shape as the React app's items (tags are managed there)
+                tags: []
             };
 
             var tx = DB_STATE.db.transaction(["costs"], "readwrite");
@@ -118,6 +602,117 @@
             req.onerror = function () {
                 reject(req.error);
             };
+
+            tx.oncomplete = function () {
+                broadcastChange({ stores: ["costs"], months: monthsOf([item]) });
+            };
+        });
+    }
+
+    /**
+     * Updates an existing cost item with the given fields.
+     * The id cannot be changed by the patch. year/month/day/Date are derived from `date` (as in addCost),
+     * so an item is moved to another day with `date` only. Tags and split portions are normalized and
+     * validated against the patched sum, like the React wrapper's updateCost.
+     */
+    function updateCost(id, patch) {
+        return new Promise(function (resolve, reject) {
+            var tx = DB_STATE.db.transaction(["costs"], "readwrite");
+            var store = tx.objectStore("costs");
+            var getReq = store.get(id);
+
+            getReq.onsuccess = function () {
+                var existing = getReq.result;
+                if (!existing) {
+                    reject(new Error("Cost item " + id + " not found"));
+                    return;
+                }
+
+                var item;
+                try {
+                    var when = toCostDate(patch.date !== undefined && patch.date !== null
+                        ? patch.date
+                        : existing.date || new Date(existing.year, existing.month - 1, existing.day));
+                    item = Object.assign({}, existing, patch, {
+                        id: id,
+                        year: when.getFullYear(),
+                        month: when.getMonth() + 1,
+                        day: when.getDate(),
+                        date: toDateKey(when),
+                        Date: { day: when.getDate() }
+                    });
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                // A rate snapshot belongs to the item's old day
+                if (item.date !== existing.date) {
+                    delete item.rates;
+                }
+
+                // A new sum needs portions that still add up to it (same checks as the React wrapper)
+                try {
+                    item = normalizeItemFields(item);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                var putReq = store.put(item);
+
+                putReq.onsuccess = function () {
+                    resolve(item);
+                };
+
+                putReq.onerror = function () {
+                    reject(putReq.error);
+                };
+
+                // Both months: the item may have moved from one to the other
+                tx.oncomplete = function () {
+                    broadcastChange({ stores: ["costs"], months: monthsOf([existing, item]) });
+                };
+            };
+
+            getReq.onerror = function () {
+                reject(getReq.error);
+            };
+        });
+    }
+
+    /**
+     * Deletes a cost item by id, together with its receipts
+     * (one transaction: never an orphaned attachment).
+     */
+    function deleteCost(id) {
+        return new Promise(function (resolve, reject) {
+            var tx = DB_STATE.db.transaction(["costs", "attachments"], "readwrite");
+            var attachments = tx.objectStore("attachments");
+            var costs = tx.objectStore("costs");
+            // Read first (same transaction) so the other tabs learn which month lost an item
+            var getReq = costs.get(id);
+            costs.delete(id);
+
+            attachments.index("costId").openKeyCursor(IDBKeyRange.only(id)).onsuccess = function (event) {
+                var cursor = event.target.result;
+                if (!cursor) {
+                    return;
+                }
+
+                attachments.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+
+            tx.oncomplete = function () {
+                if (getReq.result) {
+                    broadcastChange({ stores: ["costs", "attachments"], months: monthsOf([getReq.result]) });
+                }
+                resolve(id);
+            };
+
+            tx.onerror = function () {
+                reject(tx.error);
+            };
         });
     }
 
@@ -133,26 +728,53 @@
             var req = index.getAll(IDBKeyRange.only([year, month]));
 
             req.onsuccess = function () {
-                fetchRates().then(function (rates) {
+                getCurrentRates().then(function (current) {
+                    // No rates at all: a month entirely in the report currency still works
+                    var rates = current.rates || {};
+                    if (!current.rates) {
+                        rates[currency] = 1;
+                    }
+
                     var total = 0;
 
-                    req.result.forEach(function (c) {
-                        total += convertAmount(c.sum, c.currency, currency, rates);
+                    // An item without a rate is reported with its error and left out of the total
+                    var errors = req.result.map(function (c) {
+                        if (hasRate(rates, c.currency) && hasRate(rates, currency)) {
+                            total += convertAmount(c.sum, c.currency, currency, rates);
+                            return null;
+                        }
+                        if (!current.rates) {
+                            return "No exchange rates available";
+                        }
+                        return "No exchange rate for " + (hasRate(rates, c.currency) ? currency : c.currency);
                     });
 
                     resolve({
                         year: year,
                         month: month,
-                        costs: req.result.map(function (c) {
-                            return {
+                        costs: req.result.map(function (c, i) {
+                            var row = {
+                                id: c.id,
                                 sum: c.sum,
                                 currency: c.currency,
                                 category: c.category,
                                 description: c.description,
                                 Date: { day: c.day }
                             };
+                            if (errors[i]) {
+                                row.conversionError = errors[i];
+                            }
+                            return row;
                         }),
-                        total: { currency: currency, total: Math.round(total * 100) / 100 }
+                        total: { currency: currency, total: Math.round(total * 100) / 100 },
+                        // Same shape as the React version: { count, reasons }
+                        unconverted: {
+                            count: errors.filter(Boolean).length,
+                            reasons: errors.filter(function (e, i) {
+                                return e && errors.indexOf(e) === i;
+                            }).sort()
+                        },
+                        ratesInfo: { fetchedAt: current.fetchedAt, stale: current.stale }
                     });
                 }).catch(reject);
             };
@@ -164,5 +786,5 @@
     }
 
     // Expose global API (required for automatic testing)
-    window.idb = { openCostsDB: openCostsDB };
+    window.idb = { openCostsDB: openCostsDB, SCHEMA_VERSION: SCHEMA_VERSION };
 })();
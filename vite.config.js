@@ -1,8 +1,58 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// All files under `dir` as paths relative to it, with "/" separators.
+function listFiles(dir, prefix = "") {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+        ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+        : [`${prefix}${entry.name}`]);
+}
+
+/**
+ * Emits src/service-worker.js as /sw.js on `vite build`, with the list of files to precache
+ * (every built asset + the public/ folder) and a version that changes whenever any of them does.
+ * No dependency needed; the dev server doesn't register a service worker.
+ */
+function serviceWorker() {
+    let root = "";
+    let publicDir = "";
+
+    return {
+        name: "cost-manager-service-worker",
+        apply: "build",
+        enforce: "post", // index.html only joins the bundle after Vite's own HTML plugin
+        configResolved(config) {
+            root = config.root;
+            publicDir = config.publicDir;
+        },
+        generateBundle(options, bundle) {
+            const hash = crypto.createHash("sha256");
+            const files = [];
+
+            Object.values(bundle).forEach(output => {
+                files.push(output.fileName);
+                hash.update(output.type === "chunk" ? output.code : output.source);
+            });
+            listFiles(publicDir).forEach(file => {
+                files.push(file);
+                hash.update(fs.readFileSync(path.join(publicDir, file)));
+            });
+
+            const source = fs.readFileSync(path.join(root, "src/service-worker.js"), "utf8")
+                .replace("__PRECACHE_FILES__", JSON.stringify(files.sort()))
+                .replace("__BUILD_VERSION__", JSON.stringify(hash.digest("hex").slice(0, 12)));
+
+            this.emitFile({ type: "asset", fileName: "sw.js", source });
+        }
+    };
+}
 
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), serviceWorker()],
     server: {
         port: 5173
     }